@@ -1,14 +1,18 @@
 /**
- * App — main entry point. Handles initialization, 2D preview loop, and WebXR session.
+ * App — main entry point. Handles initialization, 2D preview rendering, and WebXR session.
  */
 const App = (() => {
 
   let xrSession = null;
   let xrRefSpace = null;
   let xrGLLayer = null;
-  let previewAnimId = null;
+  let previewAnimId = null; // pending preview redraw
   let isXR = false;
 
+  // Sphere radius (m) for 180/360 video; far enough that stereo disparity
+  // from the headset's eye separation stays small
+  const SPHERE_RADIUS = 10;
+
   // ---- Matrix helpers (minimal, no library) ----
 
   function mat4Perspective(fovy, aspect, near, far) {
@@ -40,6 +44,26 @@ const App = (() => {
     ]);
   }
 
+  function mat4RotateX(rad) {
+    const c = Math.cos(rad), s = Math.sin(rad);
+    return new Float32Array([
+      1, 0,  0, 0,
+      0, c,  s, 0,
+      0, -s, c, 0,
+      0, 0,  0, 1
+    ]);
+  }
+
+  function mat4RotateY(rad) {
+    const c = Math.cos(rad), s = Math.sin(rad);
+    return new Float32Array([
+      c, 0, -s, 0,
+      0, 1, 0,  0,
+      s, 0, c,  0,
+      0, 0, 0,  1
+    ]);
+  }
+
   function mat4Multiply(a, b) {
     const out = new Float32Array(16);
     for (let i = 0; i < 4; i++) {
@@ -57,14 +81,24 @@ const App = (() => {
   // ---- Initialization ----
 
   function init() {
+    ScreenManager.init();
     UIController.init();
 
     // Init chroma key on preview canvas
     const previewCanvas = document.getElementById('preview-canvas');
     ChromaKey.init(previewCanvas);
-
-    // Start 2D preview loop
-    startPreviewLoop();
+    ChromaKey.onContextLost(handleContextLost);
+    ChromaKey.onContextRestored(handleContextRestored);
+
+    // Redraw the 2D preview only when something changed
+    ChromaKey.onChange(requestPreview);
+    ScreenManager.onChange(requestPreview);
+    PREVIEW_MEDIA_EVENTS.forEach((type) => {
+      // Media events don't bubble; catch every screen's video while capturing
+      document.addEventListener(type, requestPreview, true);
+    });
+    window.addEventListener('resize', requestPreview);
+    requestPreview();
 
     // Check WebXR support
     if (navigator.xr) {
@@ -83,18 +117,37 @@ const App = (() => {
     }
   }
 
-  // ---- 2D Preview Loop ----
+  // ---- 2D Preview ----
 
-  function startPreviewLoop() {
-    function loop() {
-      if (isXR) return; // stop 2D loop during XR
-      const video = VideoPlayer.getVideo();
-      if (video && VideoPlayer.getReady() && !video.paused) {
-        ChromaKey.renderPreview(video);
-      }
-      previewAnimId = requestAnimationFrame(loop);
+  // Video events that change what the preview shows. New frames while
+  // playing are reported by ChromaKey.onChange.
+  const PREVIEW_MEDIA_EVENTS = ['loadeddata', 'canplay', 'seeked', 'play', 'pause', 'emptied'];
+
+  /** Schedule one preview redraw on the next animation frame */
+  function requestPreview() {
+    if (isXR || previewAnimId) return;
+    previewAnimId = requestAnimationFrame(drawPreview);
+  }
+
+  function drawPreview() {
+    previewAnimId = null;
+    if (isXR) return;
+    const video = VideoPlayer.getVideo();
+    if (!video || !VideoPlayer.getReady()) return;
+    const gl = ChromaKey.getGL();
+    Stats.beginFrame(gl);
+    ChromaKey.renderPreview(video);
+    Stats.endFrame(gl.drawingBufferWidth, gl.drawingBufferHeight);
+    // Without requestVideoFrameCallback there's no new-frame notification,
+    // so poll every animation frame while playing
+    if (!video.paused && typeof video.requestVideoFrameCallback !== 'function') {
+      requestPreview();
     }
-    loop();
+  }
+
+  function cancelPreview() {
+    if (previewAnimId) cancelAnimationFrame(previewAnimId);
+    previewAnimId = null;
   }
 
   // ---- WebXR ----
@@ -121,7 +174,8 @@ const App = (() => {
       });
 
       isXR = true;
-      if (previewAnimId) cancelAnimationFrame(previewAnimId);
+      cancelPreview();
+      Exporter.stopRecording(); // records the preview canvas, which XR takes over
 
       // Setup XR GL context
       const xrCanvas = document.getElementById('xr-canvas');
@@ -141,32 +195,60 @@ const App = (() => {
       // Handle session end
       xrSession.addEventListener('end', onXREnd);
 
-      // Make sure video is playing
-      VideoPlayer.play();
+      // Make sure every loaded screen is playing
+      ScreenManager.getScreens().forEach((screen) => {
+        if (screen.player.getReady()) screen.player.play();
+      });
 
     } catch (err) {
       UIController.setStatus('Failed to start XR: ' + err.message, 'error');
-      isXR = false;
+      if (isXR) {
+        // The preview's resources were released when the XR canvas took over
+        isXR = false;
+        restorePreview();
+      }
     }
   }
 
   function xrRenderLoop(time, frame) {
     if (!xrSession || !frame) return;
     xrSession.requestAnimationFrame(xrRenderLoop);
+    if (!xrGLLayer) return; // context lost; waiting for restore
 
     const gl = ChromaKey.getGL();
     const pose = frame.getViewerPose(xrRefSpace);
     if (!pose) return;
 
+    Stats.beginFrame(gl);
     gl.bindFramebuffer(gl.FRAMEBUFFER, xrGLLayer.framebuffer);
     gl.clearColor(0, 0, 0, 0); // transparent = passthrough
     gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
-    // Update video texture
-    const video = VideoPlayer.getVideo();
-    if (video && !video.paused) {
-      ChromaKey.updateTexture(video);
-    }
+    // Update each screen's video texture and place it. Screens are drawn
+    // back to front so nearer ones blend over farther ones; spheres count
+    // as their radius away.
+    const viewer = pose.transform.position;
+    const draws = ScreenManager.getScreens().map((screen) => {
+      return ChromaKey.withKeyer(screen.keyer, () => {
+        // Uploads only when the video has a new frame (also covers paused
+        // screens that haven't been uploaded to this context yet)
+        const video = screen.player.getVideo();
+        if (video && screen.player.getReady()) {
+          ChromaKey.updateTexture(video);
+        }
+
+        const t = screen.transform;
+        const projection = ChromaKey.getProjection();
+        if (ChromaKey.PROJECTIONS[projection].lonSpan > 0) {
+          return { keyer: screen.keyer, depth: SPHERE_RADIUS, model: sphereModelMatrix(pose, t) };
+        }
+        return {
+          keyer: screen.keyer,
+          depth: Math.hypot(t.offsetX - viewer.x, t.offsetY - viewer.y, -t.distance - viewer.z),
+          model: screenModelMatrix(video, t, projection === 'curved')
+        };
+      });
+    }).sort((a, b) => b.depth - a.depth);
 
     // Render for each XR view (typically 2 for stereo)
     for (const view of pose.views) {
@@ -176,40 +258,100 @@ const App = (() => {
       const projectionMatrix = view.projectionMatrix;
       const viewMatrix = view.transform.inverse.matrix;
 
-      // Build model matrix: position the quad in space
-      const dist = UIController.getScreenDistance();
-      const scale = UIController.getScreenScale();
-      const offX = UIController.getScreenOffsetX();
-      const offY = UIController.getScreenOffsetY();
+      draws.forEach((draw) => {
+        ChromaKey.withKeyer(draw.keyer, () => {
+          ChromaKey.render(projectionMatrix, viewMatrix, draw.model, xrGLLayer.framebuffer, vp, view.eye);
+        });
+      });
+    }
+    Stats.endFrame(xrGLLayer.framebufferWidth, xrGLLayer.framebufferHeight);
+  }
 
-      // Video aspect ratio
-      let aspect = 16 / 9;
-      if (video && video.videoWidth && video.videoHeight) {
-        aspect = video.videoWidth / video.videoHeight;
-      }
+  /**
+   * Model matrix placing the flat or curved screen in space. A curved
+   * screen bends around a vertical axis in front of its middle at
+   * distance / curvature, so at curvature 1 the arc is centered on the
+   * viewer and every column of the screen is the same distance away.
+   */
+  function screenModelMatrix(video, t, curved) {
+    const dist = t.distance;
+    const scale = t.scale;
+    const offX = t.offsetX;
+    const offY = t.offsetY;
+
+    // Aspect ratio of one eye's image (stereo layouts split the frame)
+    const aspect = ChromaKey.getAspect(video);
+
+    const halfWidth = scale * aspect * 0.5;
+    const halfHeight = scale * 0.5;
+
+    // The arc itself is set by UIController when the screen changes
+    const depthScale = curved ? halfWidth : 1; // arc mesh z is in units of half-width
+
+    const translateMat = mat4Translate(offX, offY, -dist);
+    const scaleMat = mat4Scale(halfWidth, halfHeight, depthScale);
+    return mat4Multiply(translateMat, scaleMat);
+  }
+
+  /**
+   * Model matrix for the 180/360 sphere: centered on the viewer's head so
+   * it follows position but not rotation, turned by the screen's yaw/pitch.
+   */
+  function sphereModelMatrix(pose, t) {
+    const p = pose.transform.position;
+    const yaw = t.yaw * Math.PI / 180;
+    const pitch = t.pitch * Math.PI / 180;
+
+    const rotateMat = mat4Multiply(mat4RotateY(yaw), mat4RotateX(pitch));
+    const scaleMat = mat4Scale(SPHERE_RADIUS, SPHERE_RADIUS, SPHERE_RADIUS);
+    return mat4Multiply(mat4Translate(p.x, p.y, p.z), mat4Multiply(rotateMat, scaleMat));
+  }
 
-      const halfWidth = scale * aspect * 0.5;
-      const halfHeight = scale * 0.5;
+  // ---- Context loss ----
 
-      const translateMat = mat4Translate(offX, offY, -dist);
-      const scaleMat = mat4Scale(halfWidth, halfHeight, 1);
-      const modelMatrix = mat4Multiply(translateMat, scaleMat);
+  /** Pause rendering until ChromaKey has rebuilt its resources */
+  function handleContextLost() {
+    if (isXR) {
+      xrGLLayer = null; // bound to the lost context
+    } else {
+      cancelPreview();
+    }
+    UIController.setStatus('Graphics context lost. Waiting for the browser to restore it...', 'error');
+  }
 
-      ChromaKey.render(projectionMatrix, viewMatrix, modelMatrix, xrGLLayer.framebuffer, vp);
+  /** Resume XR rendering or redraw the preview on the restored context */
+  async function handleContextRestored(gl) {
+    if (isXR && xrSession) {
+      try {
+        await gl.makeXRCompatible();
+        xrGLLayer = new XRWebGLLayer(xrSession, gl);
+        xrSession.updateRenderState({ baseLayer: xrGLLayer });
+      } catch (err) {
+        UIController.setStatus('Could not restore MR rendering: ' + err.message, 'error');
+        endXR();
+        return;
+      }
+    } else {
+      requestPreview();
     }
+    UIController.setStatus('Graphics restored.', 'success');
   }
 
   function onXREnd() {
     isXR = false;
     xrSession = null;
+    xrGLLayer = null;
     UIController.showXROverlay(false);
+    restorePreview();
 
-    // Re-init preview on 2D canvas
+    UIController.setStatus('Exited MR mode.', '');
+  }
+
+  /** Re-init ChromaKey on the 2D canvas (disposing the XR context's resources) */
+  function restorePreview() {
     const previewCanvas = document.getElementById('preview-canvas');
     ChromaKey.init(previewCanvas);
-    startPreviewLoop();
-
-    UIController.setStatus('Exited MR mode.', '');
+    requestPreview();
   }
 
   async function endXR() {
@@ -0,0 +1,206 @@
+/**
+ * AutoCalibrate — estimates key color, tolerance and smoothing from video frames.
+ * Samples several frames, builds a color histogram weighted toward the frame
+ * borders (where the backdrop usually is) and picks the dominant color.
+ */
+const AutoCalibrate = (() => {
+
+  const FRAME_COUNT = 6;
+  const SAMPLE_WIDTH = 160;      // frames are analyzed at this width
+  const BORDER = 0.15;           // border band, as a fraction of width/height
+  const BORDER_WEIGHT = 4;       // histogram weight of border pixels vs. center
+  const BINS = 16;               // histogram levels per channel
+  const CLUSTER_RADIUS = 0.3;    // key distance still counted as backdrop
+  const MIN_CONFIDENCE = 0.4;
+  const SEEK_TIMEOUT = 3000;
+
+  let canvas = null;
+  let ctx = null;
+
+  /**
+   * Analyze the loaded video. Restores the playback position and play state
+   * afterwards. Rejects if frames can't be read (e.g. CORS tainted).
+   *
+   * @param {HTMLVideoElement} video
+   * @param {string} [model] Key model the result is for; defaults to the
+   *   current one. Must be a chroma model: luma ignores the key color.
+   * @returns {Promise<{keyColor: number[], tolerance: number, smoothing: number,
+   *   confidence: number, confident: boolean}>}
+   */
+  async function run(video, model) {
+    if (!video || !video.videoWidth) throw new Error('Load a video before calibrating.');
+    model = model || ChromaKey.getKeyModel();
+    if (model === 'luma') throw new Error('Calibration needs a chroma key model, not luma.');
+
+    const frames = await grabFrames(video);
+    const keyColor = dominantColor(frames);
+    return fitKey(frames, keyColor, model);
+  }
+
+  // ---- Frame capture ----
+
+  async function grabFrames(video) {
+    const w = SAMPLE_WIDTH;
+    const h = Math.max(1, Math.round(w * video.videoHeight / video.videoWidth));
+    if (!canvas) {
+      canvas = document.createElement('canvas');
+      ctx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    canvas.width = w;
+    canvas.height = h;
+
+    const frames = [];
+    const wasPaused = video.paused;
+    const startTime = video.currentTime;
+    const duration = video.duration;
+    const seekable = isFinite(duration) && duration > 1;
+
+    video.pause();
+    try {
+      const count = seekable ? FRAME_COUNT : 1;
+      for (let i = 0; i < count; i++) {
+        if (seekable) await seek(video, duration * (i + 0.5) / count);
+        ctx.drawImage(video, 0, 0, w, h);
+        try {
+          frames.push(ctx.getImageData(0, 0, w, h));
+        } catch (e) {
+          throw new Error('Cannot analyze this video (CORS restricted).');
+        }
+      }
+    } finally {
+      if (seekable) await seek(video, startTime).catch(function() {});
+      if (!wasPaused) video.play().catch(function() {});
+    }
+    return frames;
+  }
+
+  function seek(video, time) {
+    return new Promise(function(resolve) {
+      var timer = setTimeout(done, SEEK_TIMEOUT);
+      function done() {
+        clearTimeout(timer);
+        video.removeEventListener('seeked', done);
+        resolve();
+      }
+      video.addEventListener('seeked', done);
+      video.currentTime = time;
+    });
+  }
+
+  // ---- Analysis ----
+
+  /** Histogram weight of pixel (x, y): heavier near the frame edges */
+  function pixelWeight(x, y, w, h) {
+    const edge = Math.min(x / w, (w - 1 - x) / w, y / h, (h - 1 - y) / h);
+    return edge < BORDER ? BORDER_WEIGHT : 1;
+  }
+
+  /**
+   * Find the peak of the border-weighted histogram (summed over each bin's
+   * 3x3x3 neighborhood so a backdrop straddling a bin edge isn't split) and
+   * return the mean color of that neighborhood.
+   */
+  function dominantColor(frames) {
+    const hist = new Float32Array(BINS * BINS * BINS);
+    const sums = new Float32Array(hist.length * 3);
+    const shift = 8 - Math.log2(BINS);
+
+    for (const frame of frames) {
+      const { data, width, height } = frame;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = (y * width + x) * 4;
+          const wgt = pixelWeight(x, y, width, height);
+          const bin = ((data[i] >> shift) * BINS + (data[i + 1] >> shift)) * BINS + (data[i + 2] >> shift);
+          hist[bin] += wgt;
+          sums[bin * 3] += data[i] * wgt;
+          sums[bin * 3 + 1] += data[i + 1] * wgt;
+          sums[bin * 3 + 2] += data[i + 2] * wgt;
+        }
+      }
+    }
+
+    let best = -1;
+    let bestColor = null;
+    for (let r = 0; r < BINS; r++) {
+      for (let g = 0; g < BINS; g++) {
+        for (let b = 0; b < BINS; b++) {
+          let total = 0, sr = 0, sg = 0, sb = 0;
+          for (let dr = -1; dr <= 1; dr++) {
+            for (let dg = -1; dg <= 1; dg++) {
+              for (let db = -1; db <= 1; db++) {
+                const nr = r + dr, ng = g + dg, nb = b + db;
+                if (nr < 0 || ng < 0 || nb < 0 || nr >= BINS || ng >= BINS || nb >= BINS) continue;
+                const bin = (nr * BINS + ng) * BINS + nb;
+                total += hist[bin];
+                sr += sums[bin * 3];
+                sg += sums[bin * 3 + 1];
+                sb += sums[bin * 3 + 2];
+              }
+            }
+          }
+          if (total > best) {
+            best = total;
+            bestColor = [sr / total / 255, sg / total / 255, sb / total / 255];
+          }
+        }
+      }
+    }
+    return bestColor;
+  }
+
+  /**
+   * Measure how well keyColor explains the frame borders and derive
+   * tolerance/smoothing from the spread of the backdrop's key distances.
+   */
+  function fitKey(frames, keyColor, model) {
+    const backdrop = [];
+    let borderTotal = 0;
+    let borderHits = 0;
+    const rgb = [0, 0, 0];
+
+    for (const frame of frames) {
+      const { data, width, height } = frame;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = (y * width + x) * 4;
+          rgb[0] = data[i] / 255;
+          rgb[1] = data[i + 1] / 255;
+          rgb[2] = data[i + 2] / 255;
+          const d = ChromaKey.keyDistance(rgb, keyColor, model);
+          const inBorder = pixelWeight(x, y, width, height) > 1;
+          if (d < CLUSTER_RADIUS) {
+            backdrop.push(d);
+            if (inBorder) borderHits++;
+          }
+          if (inBorder) borderTotal++;
+        }
+      }
+    }
+
+    const confidence = borderTotal ? borderHits / borderTotal : 0;
+    backdrop.sort(function(a, b) { return a - b; });
+    const pct = function(p) {
+      return backdrop.length ? backdrop[Math.min(backdrop.length - 1, Math.floor(p * backdrop.length))] : 0;
+    };
+    const p50 = pct(0.5);
+    const p95 = pct(0.95);
+
+    return {
+      keyColor: keyColor,
+      tolerance: clamp(p95 * 1.15, 0.08, 0.6),
+      smoothing: clamp(p95 - p50, 0.04, 0.2),
+      confidence: confidence,
+      confident: confidence >= MIN_CONFIDENCE
+    };
+  }
+
+  function clamp(v, min, max) {
+    return Math.min(max, Math.max(min, v));
+  }
+
+  return {
+    run,
+    MIN_CONFIDENCE
+  };
+})();
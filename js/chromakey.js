@@ -1,37 +1,264 @@
 /**
  * ChromaKey — WebGL chroma key renderer.
  * Renders a video texture onto a quad, discarding pixels near the key color.
+ *
+ * Rendering is a small pass pipeline:
+ *   key       video -> alpha matte (offscreen, R = alpha, G = key distance)
+ *   refine    optional erode / dilate / blur passes over the matte
+ *   temporal  optional blend with the previous frame's matte
+ *   composite video + matte + garbage matte -> despill, color grade -> quad,
+ *             once per eye
+ * The matte is only rebuilt when a new frame is uploaded or a key setting
+ * changes, so stereo XR views share it.
+ *
+ * Each screen has its own keyer (settings, video texture, mattes). The
+ * module's functions act on the active keyer; see setActiveKeyer/withKeyer.
  */
 const ChromaKey = (() => {
 
   // ---- Shader sources (inlined to avoid fetch) ----
 
+  // vTexCoord addresses the whole video texture; vEyeCoord the image of the
+  // eye being drawn (uTexRect: offset xy, size zw), which is what crop,
+  // masks and the split view are defined in.
   const VERT_SRC = `
     attribute vec4 aPosition;
     attribute vec2 aTexCoord;
     varying vec2 vTexCoord;
+    varying vec2 vEyeCoord;
     uniform mat4 uProjection;
     uniform mat4 uView;
     uniform mat4 uModel;
+    uniform vec4 uTexRect;
     void main() {
-      vTexCoord = aTexCoord;
+      vEyeCoord = aTexCoord;
+      vTexCoord = uTexRect.xy + aTexCoord * uTexRect.zw;
       gl_Position = uProjection * uView * uModel * aPosition;
     }
   `;
 
-  const FRAG_SRC = `
+  // Fullscreen pass over the quad. Offscreen targets are addressed in
+  // texture coordinates, so matte texel (u, v) belongs to video texel (u, v).
+  const PASS_VERT_SRC = `
+    attribute vec4 aPosition;
+    varying vec2 vTexCoord;
+    void main() {
+      vTexCoord = aPosition.xy * 0.5 + 0.5;
+      gl_Position = vec4(aPosition.xy, 0.0, 1.0);
+    }
+  `;
+
+  // Prefixed with a KEY_* define by keySource() to select the keying model,
+  // or KEY_PACKED for alpha-packed sources.
+  const KEY_FRAG_SRC = `
     precision mediump float;
     uniform sampler2D uVideoTexture;
     uniform vec3 uKeyColor;
     uniform float uTolerance;
     uniform float uSmoothing;
+    uniform vec4 uModelParams;
+    uniform vec2 uAlphaOffset;
     varying vec2 vTexCoord;
+
+    vec3 rgb2ycbcr(vec3 c) {
+      float y = dot(c, vec3(0.299, 0.587, 0.114));
+      return vec3(y, (c.b - y) * 0.565, (c.r - y) * 0.713);
+    }
+
+    vec3 rgb2hsv(vec3 c) {
+      vec4 K = vec4(0.0, -1.0 / 3.0, 2.0 / 3.0, -1.0);
+      vec4 p = mix(vec4(c.bg, K.wz), vec4(c.gb, K.xy), step(c.b, c.g));
+      vec4 q = mix(vec4(p.xyw, c.r), vec4(c.r, p.yzx), step(p.x, c.r));
+      float d = q.x - min(q.w, q.y);
+      return vec3(abs(q.z + (q.w - q.y) / (6.0 * d + 1e-5)), d / (q.x + 1e-5), q.x);
+    }
+
+    // How far a pixel is from the key; keyed out below uTolerance.
+    float keyDistance(vec3 color) {
+    #if defined(KEY_YCBCR)
+      // Chroma-only distance, scaled so pure green vs. gray is ~1 like RGB.
+      // uModelParams.x mixes some luma difference back in.
+      vec3 c = rgb2ycbcr(color);
+      vec3 k = rgb2ycbcr(uKeyColor);
+      return distance(c.yz, k.yz) * 2.0 + abs(c.x - k.x) * uModelParams.x;
+    #elif defined(KEY_HSV)
+      // Hue window (tolerance 0.5 = +-90 deg). Pixels below the saturation
+      // (uModelParams.x) or value (uModelParams.y) minimum are pushed
+      // past the tolerance so they stay visible.
+      vec3 c = rgb2hsv(color);
+      vec3 k = rgb2hsv(uKeyColor);
+      float dh = abs(c.x - k.x);
+      dh = min(dh, 1.0 - dh) * 2.0;
+      return max(dh, uTolerance + max(uModelParams.x - c.y, uModelParams.y - c.z));
+    #else
+      return distance(color, uKeyColor);
+    #endif
+    }
+
     void main() {
-      vec4 texColor = texture2D(uVideoTexture, vTexCoord);
-      float diff = distance(texColor.rgb, uKeyColor);
+      vec3 color = texture2D(uVideoTexture, vTexCoord).rgb;
+    #if defined(KEY_PACKED)
+      // Alpha is the grayscale matte half, uAlphaOffset from this texel
+      vec3 matte = texture2D(uVideoTexture, vTexCoord + uAlphaOffset).rgb;
+      float alpha = dot(matte, vec3(0.299, 0.587, 0.114));
+      float diff = alpha;
+    #elif defined(KEY_LUMA)
+      // Key out darks below uModelParams.x and lights above uModelParams.y,
+      // each with its own soft range (z, w). Low 0 / high 1 disable a side.
+      float y = dot(color, vec3(0.299, 0.587, 0.114));
+      float alpha = 1.0;
+      if (uModelParams.x > 0.0) alpha *= smoothstep(uModelParams.x, uModelParams.x + uModelParams.z, y);
+      if (uModelParams.y < 1.0) alpha *= 1.0 - smoothstep(uModelParams.y - uModelParams.w, uModelParams.y, y);
+      float diff = max(min(y - uModelParams.x, uModelParams.y - y), 0.0);
+    #else
+      float diff = keyDistance(color);
       float alpha = smoothstep(uTolerance, uTolerance + uSmoothing, diff);
-      if (alpha < 0.01) discard;
-      gl_FragColor = vec4(texColor.rgb, alpha);
+    #endif
+      gl_FragColor = vec4(alpha, clamp(diff, 0.0, 1.0), 0.0, 1.0);
+    }
+  `;
+
+  // Separable matte filter, run once per direction (uStep = one texel along
+  // x or y). Prefixed with FILTER_ERODE, FILTER_DILATE or FILTER_BLUR.
+  // uHalves is 1 on the axis a stereo or alpha-packed frame is split along;
+  // taps stay in the pixel's own half so the halves don't bleed into each other.
+  const FILTER_FRAG_SRC = `
+    precision mediump float;
+    #define MAX_RADIUS 8
+    uniform sampler2D uSource;
+    uniform vec2 uStep;
+    uniform float uRadius;
+    uniform vec2 uHalves;
+    varying vec2 vTexCoord;
+
+    float tap(vec2 offset) {
+      vec2 lo = uHalves * 0.5 * step(0.5, vTexCoord);
+      vec2 hi = lo + 1.0 - uHalves * 0.5;
+      vec2 margin = abs(uStep) * 0.5;
+      return texture2D(uSource, clamp(vTexCoord + offset, lo + margin, hi - margin)).r;
+    }
+
+    void main() {
+      vec4 base = texture2D(uSource, vTexCoord);
+      float a = base.r;
+    #if defined(FILTER_BLUR)
+      // 9-tap Gaussian, taps spread to cover uRadius texels
+      vec2 d = uStep * (uRadius / 4.0);
+      a *= 0.2270270;
+      a += (tap(d) + tap(-d)) * 0.1945946;
+      a += (tap(d * 2.0) + tap(-d * 2.0)) * 0.1216216;
+      a += (tap(d * 3.0) + tap(-d * 3.0)) * 0.0540541;
+      a += (tap(d * 4.0) + tap(-d * 4.0)) * 0.0162162;
+    #else
+      for (int i = 1; i <= MAX_RADIUS; i++) {
+        if (float(i - 1) >= uRadius) break;
+        // Sub-texel radii get a partial outer tap instead of none
+        float w = clamp(uRadius - float(i - 1), 0.0, 1.0);
+        vec2 o = uStep * float(i);
+        float s1 = tap(o);
+        float s2 = tap(-o);
+      #if defined(FILTER_ERODE)
+        a = mix(a, min(a, min(s1, s2)), w);
+      #else
+        a = mix(a, max(a, max(s1, s2)), w);
+      #endif
+      }
+    #endif
+      gl_FragColor = vec4(a, base.gba);
+    }
+  `;
+
+  // Blend the matte with the previous frame's. Pixels whose alpha changed a
+  // lot are real motion, so they follow the current frame instead of smearing.
+  const TEMPORAL_FRAG_SRC = `
+    precision mediump float;
+    uniform sampler2D uSource;
+    uniform sampler2D uHistory;
+    uniform float uStrength;
+    varying vec2 vTexCoord;
+    void main() {
+      vec4 cur = texture2D(uSource, vTexCoord);
+      float prev = texture2D(uHistory, vTexCoord).r;
+      float motion = smoothstep(0.2, 0.6, abs(cur.r - prev));
+      gl_FragColor = vec4(mix(cur.r, prev, uStrength * (1.0 - motion)), cur.gba);
+    }
+  `;
+
+  const COMPOSITE_FRAG_SRC = `
+    precision mediump float;
+    uniform sampler2D uVideoTexture;
+    uniform sampler2D uMatte;
+    uniform sampler2D uGarbageMatte;
+    uniform vec4 uCrop;
+    uniform vec3 uSpillMask;
+    uniform float uSpillStrength;
+    uniform float uSpillMethod;
+    uniform float uBrightness;
+    uniform float uContrast;
+    uniform float uSaturation;
+    uniform float uGamma;
+    uniform vec3 uWhiteBalance;
+    uniform float uOpacity;
+    uniform float uViewMode;
+    uniform float uSplit;
+    varying vec2 vTexCoord;
+    varying vec2 vEyeCoord;
+
+    // Pull the key's dominant channel (uSpillMask) down toward the other
+    // two: their average (method 0) or their max (method 1).
+    vec3 despill(vec3 color) {
+      float keyC = dot(color, uSpillMask);
+      vec3 o = color * (1.0 - uSpillMask);
+      float avg = (o.r + o.g + o.b) * 0.5;
+      float mx = max(max(o.r, o.g), o.b);
+      float limit = mix(avg, mx, uSpillMethod);
+      return color - uSpillMask * max(keyC - limit, 0.0) * uSpillStrength;
+    }
+
+    // Color correction to sit the subject into passthrough
+    vec3 grade(vec3 c) {
+      c *= uWhiteBalance;
+      c += uBrightness;
+      c = (c - 0.5) * uContrast + 0.5;
+      float luma = dot(c, vec3(0.2126, 0.7152, 0.0722));
+      c = mix(vec3(luma), c, uSaturation);
+      c = pow(max(c, 0.0), vec3(1.0 / uGamma));
+      return clamp(c, 0.0, 1.0);
+    }
+
+    // Blue (0) -> green -> red (1)
+    vec3 heatmap(float t) {
+      return clamp(1.5 - abs(4.0 * t - vec3(3.0, 2.0, 1.0)), 0.0, 1.0);
+    }
+
+    void main() {
+      // Garbage matte: crop insets (left, top, right, bottom), then polygon
+      // masks forcing transparent (red) or opaque (green).
+      vec2 t = vEyeCoord;
+      float inCrop = step(uCrop.x, t.x) * step(uCrop.y, t.y) *
+                     step(t.x, 1.0 - uCrop.z) * step(t.y, 1.0 - uCrop.w);
+      vec2 garbage = texture2D(uGarbageMatte, t).rg;
+
+      vec4 matte = texture2D(uMatte, vTexCoord);
+      float alpha = mix(matte.r, 0.0, garbage.r);
+      alpha = mix(alpha, 1.0, garbage.g) * inCrop;
+
+      vec4 texColor = texture2D(uVideoTexture, vTexCoord);
+      vec4 color = vec4(grade(despill(texColor.rgb)), alpha * uOpacity);
+
+      // Debug views (preview only): 1 alpha, 2 key distance, 3 original, 4 split
+      if (uViewMode > 3.5) {
+        if (t.x < uSplit) color = vec4(texColor.rgb, 1.0);
+      } else if (uViewMode > 2.5) {
+        color = vec4(texColor.rgb, 1.0);
+      } else if (uViewMode > 1.5) {
+        color = vec4(heatmap(matte.g), 1.0);
+      } else if (uViewMode > 0.5) {
+        color = vec4(vec3(alpha), 1.0);
+      }
+
+      if (color.a < 0.01) discard;
+      gl_FragColor = color;
     }
   `;
 
@@ -39,25 +266,207 @@ const ChromaKey = (() => {
   const KEY_COLORS = {
     green: [0.0, 1.0, 0.0],
     blue:  [0.0, 0.0, 1.0],
-    black: [0.0, 0.0, 0.0]
+    black: [0.0, 0.0, 0.0],
+    white: [1.0, 1.0, 1.0]
+  };
+
+  // Black and white backdrops are keyed on luminance, not color distance
+  const LUMA_PRESETS = {
+    black: { low: 0.12, high: 1.0, lowSoft: 0.1, highSoft: 0.1 },
+    white: { low: 0.0, high: 0.88, lowSoft: 0.1, highSoft: 0.1 }
+  };
+
+  // ---- Keying models ----
+  // Each model has its own parameters, packed into uModelParams (x, y, z, w).
+  // The luma model ignores the key color, tolerance and smoothing.
+  const KEY_MODELS = {
+    rgb:   { define: 'KEY_RGB',   params: [] },
+    ycbcr: { define: 'KEY_YCBCR', params: ['lumaWeight'] },
+    hsv:   { define: 'KEY_HSV',   params: ['satMin', 'valMin'] },
+    luma:  { define: 'KEY_LUMA',  params: ['low', 'high', 'lowSoft', 'highSoft'] }
   };
 
+  const MODEL_DEFAULTS = {
+    rgb:   {},
+    ycbcr: { lumaWeight: 0.0 },
+    hsv:   { satMin: 0.2, valMin: 0.15 },
+    luma:  Object.assign({}, LUMA_PRESETS.black)
+  };
+
+  // ---- Spill suppression methods (uSpillMethod values) ----
+  const SPILL_METHODS = {
+    average: 0,
+    max: 1
+  };
+
+  // ---- Color grading ----
+  const GRADING_DEFAULTS = {
+    brightness: 0.0,   // -0.5 – 0.5, added
+    contrast: 1.0,     // 0 – 2, around mid gray
+    saturation: 1.0,   // 0 (gray) – 2
+    gamma: 1.0,        // 0.2 – 3
+    temperature: 0.0,  // -1 (cool) – 1 (warm)
+    tint: 0.0,         // -1 (green) – 1 (magenta)
+    opacity: 1.0       // 0 – 1
+  };
+
+  // ---- Preview view modes (uViewMode values) ----
+  const VIEW_MODES = {
+    composite: 0,   // final keyed output
+    alpha: 1,       // alpha matte in grayscale
+    heatmap: 2,     // key distance, blue = at the key, red = far from it
+    original: 3,    // unkeyed source
+    split: 4        // original left of the split, keyed right of it
+  };
+
+  // ---- Stereo layouts ----
+  // mono: whole frame to both eyes; sbs: left | right; ou: left over right
+  const STEREO_LAYOUTS = ['mono', 'sbs', 'ou'];
+
+  // ---- Alpha-packed sources ----
+  // Color in one half of the frame, grayscale alpha in the other:
+  // sbs = left | right, tb = top over bottom
+  const PACKED_LAYOUTS = ['sbs', 'tb'];
+
+  // ---- Projections ----
+  // flat: unit quad; curved: unit-width cylindrical arc (see setScreenArc);
+  // 180/360: equirectangular sphere segments of unit radius around the
+  // origin, spanning that many degrees of longitude (front half for 180,
+  // centered on -Z).
+  const PROJECTIONS = {
+    flat:   { lonSpan: 0 },
+    curved: { lonSpan: 0 },
+    '180':  { lonSpan: 180 },
+    '360':  { lonSpan: 360 }
+  };
+  const SPHERE_COLUMNS = 64;     // segments per 360 degrees of longitude
+  const SPHERE_ROWS = 32;
+  const ARC_COLUMNS = 48;        // segments across a curved screen
+
+  // ---- Matte quality presets ----
+  // scale: matte resolution relative to the video; maxRadius: cap (in matte
+  // texels) on each refine pass, bounding texture fetches per pixel.
+  const MATTE_QUALITY = {
+    performance: { scale: 0.5,  maxRadius: 2 },
+    balanced:    { scale: 0.75, maxRadius: 4 },
+    quality:     { scale: 1.0,  maxRadius: 8 }
+  };
+  const MAX_MATTE_SIZE = 2048;
+
+  // ---- Temporal stabilization ----
+  const CUT_THUMB_WIDTH = 32;     // frames are compared at this size
+  const CUT_THUMB_HEIGHT = 18;
+  const CUT_THRESHOLD = 0.12;     // mean luma change that counts as a cut
+  const SEEK_THRESHOLD = 1.0;     // seconds jumped that count as a seek
+
+  // Key settings copied when a keyer is created from another
+  const SETTINGS = [
+    'currentKeyColor', 'currentTolerance', 'currentSmoothing', 'currentModel', 'chromaModel', 'modelParams',
+    'currentSpillStrength', 'currentSpillMethod', 'currentQuality', 'refinement',
+    'temporalStrength', 'grading', 'stereoLayout', 'swapEyes', 'packedAlpha',
+    'currentProjection', 'screenArc', 'crop', 'masks'
+  ];
+
+  // Garbage matte raster size
+  const GARBAGE_SIZE = 512;
+
   // ---- State ----
+  // Shared by all keyers, per context
   let gl = null;
-  let program = null;
-  let videoTexture = null;
-  let quadVAO = null;
+  let passes = null;        // { erode, dilate, blur, temporal, composite }: { program, u }
+  let quadMesh = null;      // { buffer, count }
+  let meshes = {};          // projection name -> { buffer, count }; curved is per keyer
+  let boundCanvas = null;   // canvas whose context events we listen to
+  let contextLost = false;
+  const contextListeners = { lost: [], restored: [] };
+  const changeListeners = [];
+  const uploadStats = { count: 0, time: 0 }; // video uploads, all keyers (ms)
 
-  // Uniform locations
-  let uProjection, uView, uModel, uVideoTexture, uKeyColor, uTolerance, uSmoothing;
+  // Preview only
+  let viewMode = 'composite';
+  let splitPosition = 0.5;
+  let previewSize = null;   // [width, height] overriding the canvas's CSS size
 
-  // Current settings
-  let currentKeyColor = KEY_COLORS.green;
-  let currentTolerance = 0.35;
-  let currentSmoothing = 0.10;
+  // Scratch canvases
+  let cutCanvas = null;
+  let cutCtx = null;
+  let garbageCanvas = null;
+
+  // Keyers: one per screen. k is the active one, which the setters,
+  // getters and render functions act on.
+  let k = createKeyerState();
+  let keyers = [k];
 
   /**
-   * Initialize WebGL on the given canvas.
+   * Per-screen state: key settings plus the GPU resources they render
+   * with (created in each context by setupKeyer).
+   * @param {object} [source] Keyer to copy settings from
+   */
+  function createKeyerState(source) {
+    const keyer = {
+      // GPU resources
+      videoTexture: null,
+      garbageTexture: null,
+      keyPass: null,          // { program, u } for the current keying model
+      arcMesh: null,          // curved screen mesh
+      targets: [],            // ping-pong matte render targets
+      matteTarget: null,      // target holding the finished matte
+      matteStale: true,
+      history: null,          // previous frame's matte, for temporal blending
+      historyValid: false,
+      frameAdvanced: false,   // a new frame was uploaded since the last matte
+      frameWidth: 0,          // size of the last uploaded frame
+      frameHeight: 0,
+      garbageDirty: true,
+      arcStale: true,
+      texWidth: 0,            // allocated size of videoTexture
+      texHeight: 0,
+
+      // New-frame tracking (see watchFrames)
+      frameVideo: null,       // video with a pending requestVideoFrameCallback
+      frameCallback: 0,
+      newFrame: false,
+      frameTime: -1,          // currentTime/src when last checked
+      frameSrc: '',
+
+      // Settings
+      currentKeyColor: KEY_COLORS.green,
+      currentTolerance: 0.35,
+      currentSmoothing: 0.10,
+      currentModel: 'rgb',
+      chromaModel: 'rgb',     // model to return to when leaving luma
+      modelParams: JSON.parse(JSON.stringify(MODEL_DEFAULTS)),
+      currentSpillStrength: 0.0,
+      currentSpillMethod: 'average',
+      currentQuality: 'balanced',
+      refinement: { erode: 0, dilate: 0, blur: 0 }, // radii in video pixels
+      temporalStrength: 0.0,
+      grading: Object.assign({}, GRADING_DEFAULTS),
+      stereoLayout: 'mono',
+      swapEyes: false,
+      packedAlpha: null,      // { layout, alphaFirst } or null when keying
+      currentProjection: 'flat',
+      screenArc: 0,           // half-angle (radians) of the curved screen
+
+      // Garbage matte, in texture coordinates (0–1, origin top-left)
+      crop: { left: 0, top: 0, right: 0, bottom: 0 },
+      masks: [],              // { points: [[u, v], ...], mode: 'transparent' | 'opaque' }
+
+      // Scene cut detection
+      lastThumb: null,
+      lastSrc: '',
+      lastTime: 0
+    };
+    if (source) {
+      SETTINGS.forEach((name) => { keyer[name] = JSON.parse(JSON.stringify(source[name])); });
+    }
+    return keyer;
+  }
+
+  /**
+   * Initialize WebGL on the given canvas. Resources in the previous context
+   * are disposed first; a canvas that already has a context is rebuilt
+   * around it. Key settings carry over either way.
    * @param {HTMLCanvasElement} canvas
    * @param {object} [ctxAttrs] Extra context attributes (e.g. xrCompatible)
    * @returns {WebGL2RenderingContext}
@@ -69,37 +478,248 @@ const ChromaKey = (() => {
       antialias: true
     }, ctxAttrs || {});
 
+    dispose();
     gl = canvas.getContext('webgl2', attrs) || canvas.getContext('webgl', attrs);
     if (!gl) throw new Error('WebGL not supported');
 
-    program = createProgram(VERT_SRC, FRAG_SRC);
-    gl.useProgram(program);
+    boundCanvas = canvas;
+    canvas.addEventListener('webglcontextlost', handleContextLost);
+    canvas.addEventListener('webglcontextrestored', handleContextRestored);
+    contextLost = gl.isContextLost();
+    if (!contextLost) build();
 
-    // Get uniform locations
-    uProjection   = gl.getUniformLocation(program, 'uProjection');
-    uView         = gl.getUniformLocation(program, 'uView');
-    uModel        = gl.getUniformLocation(program, 'uModel');
-    uVideoTexture = gl.getUniformLocation(program, 'uVideoTexture');
-    uKeyColor     = gl.getUniformLocation(program, 'uKeyColor');
-    uTolerance    = gl.getUniformLocation(program, 'uTolerance');
-    uSmoothing    = gl.getUniformLocation(program, 'uSmoothing');
+    return gl;
+  }
 
-    // Create quad geometry
-    quadVAO = createQuad();
+  /** Create the shared and per-keyer resources in the current context */
+  function build() {
+    passes = {
+      erode:     buildPass(PASS_VERT_SRC, '#define FILTER_ERODE\n' + FILTER_FRAG_SRC),
+      dilate:    buildPass(PASS_VERT_SRC, '#define FILTER_DILATE\n' + FILTER_FRAG_SRC),
+      blur:      buildPass(PASS_VERT_SRC, '#define FILTER_BLUR\n' + FILTER_FRAG_SRC),
+      temporal:  buildPass(PASS_VERT_SRC, TEMPORAL_FRAG_SRC),
+      composite: buildPass(VERT_SRC, COMPOSITE_FRAG_SRC)
+    };
 
-    // Create video texture
-    videoTexture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, videoTexture);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    // Create geometry: the quad doubles as the flat screen mesh
+    quadMesh = createQuad();
+    meshes = {
+      flat:  quadMesh,
+      '180': createSphere(PROJECTIONS['180'].lonSpan),
+      '360': createSphere(PROJECTIONS['360'].lonSpan)
+    };
+
+    keyers.forEach((keyer) => withKeyer(keyer, setupKeyer));
 
     // Enable alpha blending
     gl.enable(gl.BLEND);
     gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+  }
 
-    return gl;
+  /**
+   * Delete every resource in the current context. Deletes on a lost
+   * context are ignored by WebGL, so this also just drops the references.
+   */
+  function release() {
+    if (!gl) return;
+    keyers.forEach((keyer) => withKeyer(keyer, releaseKeyer));
+    if (passes) {
+      Object.keys(passes).forEach((name) => gl.deleteProgram(passes[name].program));
+    }
+    Object.keys(meshes).forEach((name) => gl.deleteBuffer(meshes[name].buffer));
+    passes = null;
+    quadMesh = null;
+    meshes = {};
+  }
+
+  /**
+   * Free all GPU resources and stop listening to the canvas. Key settings
+   * are kept, so a later init() carries on with them.
+   */
+  function dispose() {
+    release();
+    if (boundCanvas) {
+      boundCanvas.removeEventListener('webglcontextlost', handleContextLost);
+      boundCanvas.removeEventListener('webglcontextrestored', handleContextRestored);
+      boundCanvas = null;
+    }
+    gl = null;
+    contextLost = false;
+  }
+
+  // ---- Context loss ----
+
+  function handleContextLost(e) {
+    e.preventDefault(); // tells the browser we'll handle webglcontextrestored
+    contextLost = true;
+    release();
+    contextListeners.lost.forEach((fn) => fn());
+  }
+
+  function handleContextRestored() {
+    contextLost = false;
+    build();
+    contextListeners.restored.forEach((fn) => fn(gl));
+  }
+
+  /** Call fn() when the context is lost; rendering is skipped until restored */
+  function onContextLost(fn) {
+    contextListeners.lost.push(fn);
+  }
+
+  /**
+   * Call fn(gl) once the context is restored and every resource has been
+   * rebuilt with the current settings. Video textures fill on the next upload.
+   */
+  function onContextRestored(fn) {
+    contextListeners.restored.push(fn);
+  }
+
+  function isContextLost() { return contextLost; }
+
+  /**
+   * Counters and sizes for the stats HUD. uploads / uploadTime are running
+   * totals over all keyers (CPU time in texSubImage2D, ms); sizes are the
+   * active keyer's, 0 before its first frame.
+   */
+  function getStats() {
+    const matte = k.matteTarget;
+    return {
+      uploads: uploadStats.count,
+      uploadTime: uploadStats.time,
+      videoWidth: k.frameWidth,
+      videoHeight: k.frameHeight,
+      matteWidth: matte ? matte.width : 0,
+      matteHeight: matte ? matte.height : 0,
+      webgl2: isWebGL2()
+    };
+  }
+
+  // ---- Change notification ----
+
+  /**
+   * Call fn() whenever the active keyer's output may have changed: a
+   * setting changed, a different keyer became active, or its video
+   * presented a new frame. Lets the preview redraw only when needed.
+   */
+  function onChange(fn) {
+    changeListeners.push(fn);
+  }
+
+  function invalidate() {
+    changeListeners.forEach((fn) => fn());
+  }
+
+  /**
+   * Create the active keyer's GPU resources in the current context. Any
+   * it had belong to a previous context and are dropped.
+   */
+  function setupKeyer() {
+    k.keyPass = null;
+    buildKeyPass();
+    k.targets = [];
+    k.matteTarget = null;
+    k.history = null;
+    k.historyValid = false;
+    k.frameWidth = k.frameHeight = 0;
+
+    k.arcMesh = createMesh(arcVertices(k.screenArc));
+    k.arcStale = false;
+
+    // Create video texture
+    k.videoTexture = createTexture();
+
+    // Create garbage matte texture (filled on first render)
+    k.garbageTexture = createTexture();
+    k.garbageDirty = true;
+  }
+
+  /** Free the active keyer's GPU resources */
+  function releaseKeyer() {
+    if (k.keyPass) gl.deleteProgram(k.keyPass.program);
+    if (k.arcMesh) gl.deleteBuffer(k.arcMesh.buffer);
+    gl.deleteTexture(k.videoTexture);
+    gl.deleteTexture(k.garbageTexture);
+    k.targets.forEach(deleteTarget);
+    if (k.history) deleteTarget(k.history);
+    k.keyPass = k.arcMesh = k.videoTexture = k.garbageTexture = k.history = k.matteTarget = null;
+    k.targets = [];
+    k.frameWidth = k.frameHeight = 0;
+    k.texWidth = k.texHeight = 0;
+  }
+
+  // ---- Keyers ----
+
+  /**
+   * Create a keyer for another screen, optionally copying the settings of
+   * an existing one. It is not made active.
+   * @param {object} [source]
+   * @returns {object} Opaque keyer handle
+   */
+  function createKeyer(source) {
+    const keyer = createKeyerState(source);
+    keyers.push(keyer);
+    if (passes) withKeyer(keyer, setupKeyer);
+    return keyer;
+  }
+
+  /** Free a keyer's resources. If it was active, the first remaining one takes over. */
+  function destroyKeyer(keyer) {
+    const idx = keyers.indexOf(keyer);
+    if (idx === -1 || keyers.length === 1) return;
+    if (passes) withKeyer(keyer, releaseKeyer);
+    withKeyer(keyer, stopWatching);
+    keyers.splice(idx, 1);
+    if (k === keyer) k = keyers[0];
+  }
+
+  /** Make a keyer the target of the module's setters, getters and render calls */
+  function setActiveKeyer(keyer) {
+    if (keyers.indexOf(keyer) === -1 || keyer === k) return;
+    k = keyer;
+    invalidate();
+  }
+
+  function getActiveKeyer() { return k; }
+
+  /** Run fn with a keyer temporarily active, e.g. to render every screen */
+  function withKeyer(keyer, fn) {
+    const previous = k;
+    k = keyer;
+    try {
+      return fn();
+    } finally {
+      k = previous;
+    }
+  }
+
+  /** Key pass fragment source for the current keying model */
+  function keySource() {
+    const define = k.packedAlpha ? 'KEY_PACKED' : KEY_MODELS[k.currentModel].define;
+    return '#define ' + define + '\n' + KEY_FRAG_SRC;
+  }
+
+  /**
+   * (Re)build the key pass for the current keying model. Textures and
+   * buffers are untouched, so this can run while a video is playing.
+   */
+  function buildKeyPass() {
+    const pass = buildPass(PASS_VERT_SRC, keySource());
+    if (k.keyPass) gl.deleteProgram(k.keyPass.program);
+    k.keyPass = pass;
+    k.matteStale = true;
+  }
+
+  /** Create a program and look up all of its active uniforms */
+  function buildPass(vertSrc, fragSrc) {
+    const program = createProgram(vertSrc, fragSrc);
+    const u = {};
+    const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+    for (let i = 0; i < count; i++) {
+      const name = gl.getActiveUniform(program, i).name;
+      u[name] = gl.getUniformLocation(program, name);
+    }
+    return { program, u };
   }
 
   /** Compile a shader */
@@ -125,16 +745,31 @@ const ChromaKey = (() => {
     gl.bindAttribLocation(prog, 0, 'aPosition');
     gl.bindAttribLocation(prog, 1, 'aTexCoord');
     gl.linkProgram(prog);
+    gl.deleteShader(vs);
+    gl.deleteShader(fs);
     if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) {
-      throw new Error('Program link error: ' + gl.getProgramInfoLog(prog));
+      const err = gl.getProgramInfoLog(prog);
+      gl.deleteProgram(prog);
+      throw new Error('Program link error: ' + err);
     }
     return prog;
   }
 
+  /** Create a clamped, linearly filtered 2D texture */
+  function createTexture() {
+    const tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    return tex;
+  }
+
   /** Create a unit quad [-1,1] with texture coords */
   function createQuad() {
     // Position (x,y,z) + TexCoord (u,v)
-    const verts = new Float32Array([
+    return createMesh([
       -1, -1, 0,   0, 1,
        1, -1, 0,   1, 1,
        1,  1, 0,   1, 0,
@@ -142,11 +777,85 @@ const ChromaKey = (() => {
        1,  1, 0,   1, 0,
       -1,  1, 0,   0, 0
     ]);
+  }
+
+  /**
+   * Create an equirectangular sphere segment of unit radius, viewed from
+   * the inside. Longitude runs left to right across the texture, centered
+   * on -Z; latitude runs from +90 degrees at v = 0 to -90 at v = 1.
+   * @param {number} lonSpan Degrees of longitude covered (180 or 360)
+   */
+  function createSphere(lonSpan) {
+    const cols = Math.max(1, Math.round(SPHERE_COLUMNS * lonSpan / 360));
+    const rows = SPHERE_ROWS;
+    const span = lonSpan * Math.PI / 180;
+
+    function vertex(out, col, row) {
+      const u = col / cols;
+      const v = row / rows;
+      const lon = (u - 0.5) * span;
+      const lat = (0.5 - v) * Math.PI;
+      out.push(
+        Math.sin(lon) * Math.cos(lat),
+        Math.sin(lat),
+        -Math.cos(lon) * Math.cos(lat),
+        u, v
+      );
+    }
+
+    const verts = [];
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        vertex(verts, col, row);
+        vertex(verts, col, row + 1);
+        vertex(verts, col + 1, row + 1);
+        vertex(verts, col, row);
+        vertex(verts, col + 1, row + 1);
+        vertex(verts, col + 1, row);
+      }
+    }
+    return createMesh(verts);
+  }
 
-    const buf = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, buf);
-    gl.bufferData(gl.ARRAY_BUFFER, verts, gl.STATIC_DRAW);
+  /**
+   * Vertices of a cylindrical screen spanning +-halfAngle around -Z, bent
+   * toward +Z. Scaled by the screen's half-width in x and z, the arc has
+   * radius halfWidth / halfAngle and its center sits that far in front of
+   * the screen's middle. u follows arc length, so the image isn't stretched.
+   * @param {number} halfAngle Radians; 0 gives a flat quad
+   */
+  function arcVertices(halfAngle) {
+    const verts = [];
+    function column(t) {
+      const a = halfAngle * t;
+      const x = halfAngle > 1e-4 ? Math.sin(a) / halfAngle : t;
+      const z = halfAngle > 1e-4 ? (1 - Math.cos(a)) / halfAngle : 0;
+      const u = (t + 1) * 0.5;
+      return [[x, -1, z, u, 1], [x, 1, z, u, 0]];
+    }
+    for (let i = 0; i < ARC_COLUMNS; i++) {
+      const l = column(i / ARC_COLUMNS * 2 - 1);
+      const r = column((i + 1) / ARC_COLUMNS * 2 - 1);
+      verts.push(...l[0], ...r[0], ...r[1], ...l[0], ...r[1], ...l[1]);
+    }
+    return verts;
+  }
 
+  /**
+   * Upload interleaved triangles, 5 floats per vertex: position (x, y, z)
+   * and texture coordinate (u, v).
+   * @returns {{buffer: WebGLBuffer, count: number}}
+   */
+  function createMesh(verts) {
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(verts), gl.STATIC_DRAW);
+    return { buffer, count: verts.length / 5 };
+  }
+
+  /** Bind a mesh and draw it */
+  function drawMesh(mesh) {
+    gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffer);
     // aPosition
     gl.enableVertexAttribArray(0);
     gl.vertexAttribPointer(0, 3, gl.FLOAT, false, 20, 0);
@@ -154,21 +863,283 @@ const ChromaKey = (() => {
     gl.enableVertexAttribArray(1);
     gl.vertexAttribPointer(1, 2, gl.FLOAT, false, 20, 12);
 
-    return buf;
+    gl.drawArrays(gl.TRIANGLES, 0, mesh.count);
+  }
+
+  /** Draw the fullscreen quad */
+  function drawQuad() {
+    drawMesh(quadMesh);
+  }
+
+  /** Bind a texture to a unit and point a sampler uniform at it */
+  function bindTexture(unit, texture, location) {
+    gl.activeTexture(gl.TEXTURE0 + unit);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.uniform1i(location, unit);
   }
 
   /**
-   * Upload a video frame to the texture.
+   * Upload the video's current frame to the texture if it hasn't been
+   * already, so this is cheap to call on every animation frame.
    * @param {HTMLVideoElement} video
    */
   function updateTexture(video) {
-    if (!gl || !videoTexture) return;
-    gl.bindTexture(gl.TEXTURE_2D, videoTexture);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, video);
+    if (!gl || !k.videoTexture || !video.videoWidth) return;
+    watchFrames(video);
+    // Skip until the video has a frame we haven't uploaded
+    if (k.frameWidth && !k.newFrame) return;
+    k.newFrame = false;
+
+    const start = performance.now();
+    const w = video.videoWidth;
+    const h = video.videoHeight;
+    gl.activeTexture(gl.TEXTURE0);
+    if (w !== k.texWidth || h !== k.texHeight) {
+      allocateVideoTexture(w, h);
+    } else {
+      gl.bindTexture(gl.TEXTURE_2D, k.videoTexture);
+    }
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, gl.RGBA, gl.UNSIGNED_BYTE, video);
+    uploadStats.count++;
+    uploadStats.time += performance.now() - start;
+
+    k.frameWidth = w;
+    k.frameHeight = h;
+    k.matteStale = true;
+    k.frameAdvanced = true;
+    if (k.temporalStrength > 0) checkContinuity(video);
   }
 
   /**
-   * Render the chroma-keyed quad.
+   * Give the video texture storage for a w x h frame. WebGL2 storage is
+   * immutable, so a resize replaces the texture object.
+   */
+  function allocateVideoTexture(w, h) {
+    if (isWebGL2()) {
+      gl.deleteTexture(k.videoTexture);
+      k.videoTexture = createTexture();
+      gl.texStorage2D(gl.TEXTURE_2D, 1, gl.RGBA8, w, h);
+    } else {
+      gl.bindTexture(gl.TEXTURE_2D, k.videoTexture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    }
+    k.texWidth = w;
+    k.texHeight = h;
+  }
+
+  function isWebGL2() {
+    return typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+  }
+
+  /**
+   * Raise k.newFrame when the video has a frame that hasn't been uploaded.
+   * A change of currentTime or source counts as new. Where available,
+   * requestVideoFrameCallback also reports frames (and wakes the preview),
+   * but it runs in the page's rendering steps, which browsers throttle or
+   * pause during immersive sessions, so it can't be the only signal.
+   */
+  function watchFrames(video) {
+    if (video.currentTime !== k.frameTime || video.currentSrc !== k.frameSrc) {
+      k.frameTime = video.currentTime;
+      k.frameSrc = video.currentSrc;
+      k.newFrame = true;
+    }
+    if (typeof video.requestVideoFrameCallback !== 'function' || k.frameVideo === video) return;
+
+    stopWatching();
+    const keyer = k;
+    function onFrame() {
+      if (keyer.frameVideo !== video) return;
+      keyer.newFrame = true;
+      keyer.frameCallback = video.requestVideoFrameCallback(onFrame);
+      if (keyer === k) invalidate();
+    }
+    k.frameVideo = video;
+    k.frameCallback = video.requestVideoFrameCallback(onFrame);
+    k.newFrame = true; // whatever frame is showing now
+  }
+
+  /** Cancel the active keyer's pending frame callback */
+  function stopWatching() {
+    if (k.frameVideo) k.frameVideo.cancelVideoFrameCallback(k.frameCallback);
+    k.frameVideo = null;
+  }
+
+  // ---- Matte pipeline ----
+
+  /** Create an RGBA render target of the given size */
+  function createTarget(width, height) {
+    const texture = createTexture();
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    return { texture, framebuffer, width, height };
+  }
+
+  function deleteTarget(target) {
+    gl.deleteFramebuffer(target.framebuffer);
+    gl.deleteTexture(target.texture);
+  }
+
+  /** Matte size for the current frame and quality preset */
+  function matteSize() {
+    const preset = MATTE_QUALITY[k.currentQuality];
+    const scale = Math.min(preset.scale, MAX_MATTE_SIZE / Math.max(k.frameWidth, k.frameHeight));
+    return {
+      width: Math.max(1, Math.round(k.frameWidth * scale)),
+      height: Math.max(1, Math.round(k.frameHeight * scale)),
+      scale: scale
+    };
+  }
+
+  /** Make sure both ping-pong targets exist at the given size */
+  function ensureTargets(width, height) {
+    if (k.targets.length && k.targets[0].width === width && k.targets[0].height === height) return;
+    k.targets.forEach(deleteTarget);
+    k.targets = [createTarget(width, height), createTarget(width, height)];
+  }
+
+  /** Run one fullscreen pass into a target */
+  function runPass(pass, target) {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.viewport(0, 0, target.width, target.height);
+    drawQuad();
+  }
+
+  /**
+   * Rebuild the alpha matte: key pass, then each enabled refine step as a
+   * horizontal + vertical pass. Leaves the finished matte in matteTarget.
+   */
+  function updateMatte() {
+    const size = matteSize();
+    ensureTargets(size.width, size.height);
+    gl.disable(gl.BLEND);
+
+    // Key pass
+    const key = k.keyPass;
+    gl.useProgram(key.program);
+    gl.uniform3fv(key.u.uKeyColor, k.currentKeyColor);
+    gl.uniform1f(key.u.uTolerance, k.currentTolerance);
+    gl.uniform1f(key.u.uSmoothing, k.currentSmoothing);
+    gl.uniform4fv(key.u.uModelParams, packModelParams());
+    gl.uniform2fv(key.u.uAlphaOffset, alphaOffset());
+    bindTexture(0, k.videoTexture, key.u.uVideoTexture);
+    runPass(key, k.targets[0]);
+
+    // Refine passes, ping-ponging between the two targets
+    const maxRadius = MATTE_QUALITY[k.currentQuality].maxRadius;
+    let src = 0;
+    ['erode', 'dilate', 'blur'].forEach((step) => {
+      const radius = Math.min(maxRadius, k.refinement[step] * size.scale);
+      if (radius <= 0) return;
+      const pass = passes[step];
+      gl.useProgram(pass.program);
+      gl.uniform1f(pass.u.uRadius, radius);
+      gl.uniform2fv(pass.u.uHalves, filterHalves());
+      [[1 / size.width, 0], [0, 1 / size.height]].forEach((dir) => {
+        gl.uniform2fv(pass.u.uStep, dir);
+        bindTexture(0, k.targets[src].texture, pass.u.uSource);
+        runPass(pass, k.targets[1 - src]);
+        src = 1 - src;
+      });
+    });
+
+    // Temporal blend into a fresh target, which then becomes the history.
+    // Rebuilds caused only by a settings change replace the history outright
+    // so the new settings apply immediately.
+    if (k.temporalStrength > 0) {
+      if (!k.history || k.history.width !== size.width || k.history.height !== size.height) {
+        if (k.history) deleteTarget(k.history);
+        k.history = createTarget(size.width, size.height);
+        k.historyValid = false;
+      }
+      const pass = passes.temporal;
+      gl.useProgram(pass.program);
+      gl.uniform1f(pass.u.uStrength, k.historyValid && k.frameAdvanced ? k.temporalStrength : 0);
+      bindTexture(0, k.targets[src].texture, pass.u.uSource);
+      bindTexture(1, k.history.texture, pass.u.uHistory);
+      runPass(pass, k.targets[1 - src]);
+      const blended = k.targets[1 - src];
+      k.targets[1 - src] = k.history;
+      k.history = blended;
+      k.historyValid = true;
+      k.matteTarget = k.history;
+    } else {
+      k.historyValid = false;
+      k.matteTarget = k.targets[src];
+    }
+
+    k.matteStale = false;
+    k.frameAdvanced = false;
+    gl.enable(gl.BLEND);
+  }
+
+  // ---- Temporal stabilization ----
+
+  /**
+   * Drop the matte history when blending with it would smear: a new source,
+   * a seek or loop (restart included), or a scene cut / large global motion
+   * detected from a tiny luma thumbnail of the frame.
+   * @param {HTMLVideoElement} video
+   */
+  function checkContinuity(video) {
+    const src = video.currentSrc || '';
+    const t = video.currentTime;
+    if (src !== k.lastSrc || t < k.lastTime || t - k.lastTime > SEEK_THRESHOLD) {
+      resetTemporal();
+    }
+    k.lastSrc = src;
+    k.lastTime = t;
+
+    if (!cutCanvas) {
+      cutCanvas = document.createElement('canvas');
+      cutCanvas.width = CUT_THUMB_WIDTH;
+      cutCanvas.height = CUT_THUMB_HEIGHT;
+      cutCtx = cutCanvas.getContext('2d', { willReadFrequently: true });
+    }
+    let data;
+    try {
+      cutCtx.drawImage(video, 0, 0, CUT_THUMB_WIDTH, CUT_THUMB_HEIGHT);
+      data = cutCtx.getImageData(0, 0, CUT_THUMB_WIDTH, CUT_THUMB_HEIGHT).data;
+    } catch (e) {
+      return; // tainted video: rely on the per-pixel motion gate only
+    }
+
+    const thumb = new Float32Array(CUT_THUMB_WIDTH * CUT_THUMB_HEIGHT);
+    let diff = 0;
+    for (let i = 0; i < thumb.length; i++) {
+      const j = i * 4;
+      thumb[i] = (0.299 * data[j] + 0.587 * data[j + 1] + 0.114 * data[j + 2]) / 255;
+      if (k.lastThumb) diff += Math.abs(thumb[i] - k.lastThumb[i]);
+    }
+    if (k.lastThumb && diff / thumb.length > CUT_THRESHOLD) k.historyValid = false;
+    k.lastThumb = thumb;
+  }
+
+  /** Forget the previous frame's matte (new source, restart, seek) */
+  function resetTemporal() {
+    k.historyValid = false;
+    k.lastThumb = null;
+  }
+
+  /**
+   * Temporal stabilization strength: 0 (off) – 0.9. Higher values steady
+   * shimmering edges more but lag behind motion.
+   * @param {number} val
+   */
+  function setTemporalStrength(val) {
+    k.temporalStrength = Math.min(0.9, Math.max(0, parseFloat(val) || 0));
+    if (!k.temporalStrength) resetTemporal();
+    k.matteStale = true;
+    invalidate();
+  }
+
+  function getTemporalStrength() { return k.temporalStrength; }
+
+  /**
+   * Render the chroma-keyed screen using the mesh for the current
+   * projection (the 2D preview always uses the flat quad).
    * For 2D preview: pass identity matrices.
    * For XR: pass real projection/view/model matrices.
    *
@@ -177,9 +1148,25 @@ const ChromaKey = (() => {
    * @param {Float32Array} modelMatrix       4x4
    * @param {WebGLFramebuffer|null} [framebuffer]
    * @param {object} [viewport] {x, y, width, height}
+   * @param {string} [eye] XRView.eye ('left', 'right' or 'none'); picks the
+   *   half of a stereo frame to draw. Defaults to the left eye.
    */
-  function render(projectionMatrix, viewMatrix, modelMatrix, framebuffer, viewport) {
-    if (!gl || !program) return;
+  function render(projectionMatrix, viewMatrix, modelMatrix, framebuffer, viewport, eye) {
+    if (k.arcStale && k.arcMesh) {
+      gl.bindBuffer(gl.ARRAY_BUFFER, k.arcMesh.buffer);
+      gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(arcVertices(k.screenArc)), gl.STATIC_DRAW);
+      k.arcStale = false;
+    }
+    const mesh = k.currentProjection === 'curved' ? k.arcMesh : meshes[k.currentProjection];
+    renderView('composite', projectionMatrix, viewMatrix, modelMatrix, framebuffer, viewport, eye, mesh);
+  }
+
+  /** render() with a view mode from VIEW_MODES, drawing the given mesh */
+  function renderView(mode, projectionMatrix, viewMatrix, modelMatrix, framebuffer, viewport, eye, mesh) {
+    if (!gl || !passes || !k.frameWidth) return;
+
+    if (k.matteStale) updateMatte();
+    if (k.garbageDirty) uploadGarbageMatte();
 
     gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer || null);
 
@@ -187,68 +1174,610 @@ const ChromaKey = (() => {
       gl.viewport(viewport.x, viewport.y, viewport.width, viewport.height);
     }
 
-    gl.useProgram(program);
+    const comp = passes.composite;
+    gl.useProgram(comp.program);
 
     // Set matrices
-    gl.uniformMatrix4fv(uProjection, false, projectionMatrix);
-    gl.uniformMatrix4fv(uView, false, viewMatrix);
-    gl.uniformMatrix4fv(uModel, false, modelMatrix);
+    gl.uniformMatrix4fv(comp.u.uProjection, false, projectionMatrix);
+    gl.uniformMatrix4fv(comp.u.uView, false, viewMatrix);
+    gl.uniformMatrix4fv(comp.u.uModel, false, modelMatrix);
+    gl.uniform4fv(comp.u.uTexRect, eyeRect(eye));
 
-    // Set chroma key params
-    gl.uniform3fv(uKeyColor, currentKeyColor);
-    gl.uniform1f(uTolerance, currentTolerance);
-    gl.uniform1f(uSmoothing, currentSmoothing);
+    // Set despill params
+    gl.uniform3fv(comp.u.uSpillMask, spillMask());
+    gl.uniform1f(comp.u.uSpillStrength, k.packedAlpha ? 0 : k.currentSpillStrength);
+    gl.uniform1f(comp.u.uSpillMethod, SPILL_METHODS[k.currentSpillMethod]);
 
-    // Bind video texture
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, videoTexture);
-    gl.uniform1i(uVideoTexture, 0);
+    // Set color grading
+    gl.uniform1f(comp.u.uBrightness, k.grading.brightness);
+    gl.uniform1f(comp.u.uContrast, k.grading.contrast);
+    gl.uniform1f(comp.u.uSaturation, k.grading.saturation);
+    gl.uniform1f(comp.u.uGamma, k.grading.gamma);
+    gl.uniform3fv(comp.u.uWhiteBalance, whiteBalance());
+    gl.uniform1f(comp.u.uOpacity, k.grading.opacity);
 
-    // Bind quad and draw
-    gl.bindBuffer(gl.ARRAY_BUFFER, quadVAO);
-    gl.enableVertexAttribArray(0);
-    gl.vertexAttribPointer(0, 3, gl.FLOAT, false, 20, 0);
-    gl.enableVertexAttribArray(1);
-    gl.vertexAttribPointer(1, 2, gl.FLOAT, false, 20, 12);
+    // Set view mode
+    gl.uniform1f(comp.u.uViewMode, VIEW_MODES[mode]);
+    gl.uniform1f(comp.u.uSplit, splitPosition);
+
+    // Set garbage matte
+    gl.uniform4f(comp.u.uCrop, k.crop.left, k.crop.top, k.crop.right, k.crop.bottom);
 
-    gl.drawArrays(gl.TRIANGLES, 0, 6);
+    // Bind video, matte and garbage matte textures
+    bindTexture(0, k.videoTexture, comp.u.uVideoTexture);
+    bindTexture(1, k.matteTarget.texture, comp.u.uMatte);
+    bindTexture(2, k.garbageTexture, comp.u.uGarbageMatte);
+    gl.activeTexture(gl.TEXTURE0);
+
+    drawMesh(mesh || quadMesh);
   }
 
   /**
-   * Convenience: render for 2D preview (identity matrices, clear canvas).
+   * Convenience: render for 2D preview (identity matrices, clear canvas),
+   * in the current view mode. Stereo sources show the left eye.
    * @param {HTMLVideoElement} video
    */
   function renderPreview(video) {
-    if (!gl) return;
+    if (!gl || !passes) return;
     const canvas = gl.canvas;
-    if (canvas.width !== canvas.clientWidth || canvas.height !== canvas.clientHeight) {
-      canvas.width = canvas.clientWidth;
-      canvas.height = canvas.clientHeight;
+    const width = previewSize ? previewSize[0] : canvas.clientWidth;
+    const height = previewSize ? previewSize[1] : canvas.clientHeight;
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
     }
+    const viewport = { x: 0, y: 0, width: canvas.width, height: canvas.height };
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     gl.viewport(0, 0, canvas.width, canvas.height);
     gl.clearColor(0, 0, 0, 0);
     gl.clear(gl.COLOR_BUFFER_BIT);
 
     updateTexture(video);
-    render(IDENTITY, IDENTITY, IDENTITY);
+    // One screen over a cleared canvas: write color and alpha unblended so
+    // the unpremultiplied canvas (and anything exported from it) holds the
+    // real matte. updateMatte re-enables blending, so run it first.
+    if (k.frameWidth && k.matteStale) updateMatte();
+    gl.disable(gl.BLEND);
+    renderView(viewMode, IDENTITY, IDENTITY, IDENTITY, null, viewport);
+    gl.enable(gl.BLEND);
   }
 
   // ---- Setters ----
 
-  function setKeyColor(name) {
-    if (KEY_COLORS[name]) currentKeyColor = KEY_COLORS[name];
+  /**
+   * Set the key color from a preset name or an [r, g, b] triple (0–1).
+   * @param {string|number[]} color
+   */
+  function setKeyColor(color) {
+    if (Array.isArray(color)) {
+      setKeyColorRGB(color[0], color[1], color[2]);
+    } else if (KEY_COLORS[color]) {
+      k.currentKeyColor = KEY_COLORS[color];
+      k.matteStale = true;
+      invalidate();
+    }
   }
 
+  /** Set an arbitrary key color (components 0–1) */
+  function setKeyColorRGB(r, g, b) {
+    k.currentKeyColor = [clamp01(r), clamp01(g), clamp01(b)];
+    k.matteStale = true;
+    invalidate();
+  }
+
+  function getKeyColor() { return k.currentKeyColor.slice(); }
+  function getTolerance() { return k.currentTolerance; }
+  function getSmoothing() { return k.currentSmoothing; }
+
   function setTolerance(val) {
-    currentTolerance = parseFloat(val);
+    k.currentTolerance = parseFloat(val);
+    k.matteStale = true;
+    invalidate();
   }
 
   function setSmoothing(val) {
-    currentSmoothing = parseFloat(val);
+    k.currentSmoothing = parseFloat(val);
+    k.matteStale = true;
+    invalidate();
+  }
+
+  /**
+   * Switch keying model ('rgb', 'ycbcr', 'hsv' or 'luma'). Rebuilds the key pass
+   * program if WebGL is already initialized.
+   * @param {string} name
+   */
+  function setKeyModel(name) {
+    if (!KEY_MODELS[name] || name === k.currentModel) return;
+    const previous = k.currentModel;
+    k.currentModel = name;
+    if (passes) {
+      try {
+        buildKeyPass();
+      } catch (err) {
+        k.currentModel = previous;
+        throw err;
+      }
+    }
+    if (name !== 'luma') k.chromaModel = name;
+    invalidate();
+  }
+
+  function getKeyModel() { return k.currentModel; }
+
+  /** The current model, or while keying luma the chroma model it replaced */
+  function getChromaModel() { return k.chromaModel; }
+
+  /** Despill strength, 0 (off) – 1 (full) */
+  function setSpillStrength(val) {
+    k.currentSpillStrength = parseFloat(val);
+    invalidate();
+  }
+
+  /** Despill method: 'average' or 'max' (see SPILL_METHODS) */
+  function setSpillMethod(name) {
+    if (!(name in SPILL_METHODS)) return;
+    k.currentSpillMethod = name;
+    invalidate();
+  }
+
+  function getSpillStrength() { return k.currentSpillStrength; }
+  function getSpillMethod() { return k.currentSpillMethod; }
+
+  // ---- Stereo ----
+
+  /**
+   * Stereo packing of the source: 'mono', 'sbs' (side-by-side) or 'ou'
+   * (over-under), optionally with the eyes swapped.
+   * @param {string} layout
+   * @param {boolean} [swap]
+   */
+  function setStereoLayout(layout, swap) {
+    if (STEREO_LAYOUTS.indexOf(layout) === -1) return;
+    k.stereoLayout = layout;
+    if (swap !== undefined) k.swapEyes = !!swap;
+    k.matteStale = true;
+    invalidate();
+  }
+
+  function getStereoLayout() { return { layout: k.stereoLayout, swap: k.swapEyes }; }
+
+  /**
+   * Axis the matte filters must not cross: [1, 0] when the frame is split
+   * left | right (sbs stereo or packed alpha), [0, 1] when split top / bottom.
+   */
+  function filterHalves() {
+    const layout = k.packedAlpha ? k.packedAlpha.layout : k.stereoLayout;
+    if (layout === 'sbs') return [1, 0];
+    if (layout === 'ou' || layout === 'tb') return [0, 1];
+    return [0, 0];
+  }
+
+  /**
+   * Texture rect [u, v, width, height] holding the given eye's image.
+   * Alpha-packed sources are mono: both eyes get the color half.
+   */
+  function eyeRect(eye) {
+    if (k.packedAlpha) {
+      const first = !k.packedAlpha.alphaFirst;
+      if (k.packedAlpha.layout === 'sbs') return [first ? 0 : 0.5, 0, 0.5, 1];
+      return [0, first ? 0 : 0.5, 1, 0.5];
+    }
+    if (k.stereoLayout === 'mono') return [0, 0, 1, 1];
+    let second = eye === 'right';
+    if (k.swapEyes) second = !second;
+    if (k.stereoLayout === 'sbs') return [second ? 0.5 : 0, 0, 0.5, 1];
+    return [0, second ? 0.5 : 0, 1, 0.5];
+  }
+
+  /**
+   * Map a point on the preview (left eye image, 0–1) to whole-texture
+   * coordinates, e.g. for sampling the source under the eyedropper.
+   * @returns {number[]} [u, v]
+   */
+  function previewToTexture(u, v) {
+    const r = eyeRect('left');
+    return [r[0] + u * r[2], r[1] + v * r[3]];
+  }
+
+  /**
+   * Width / height of one eye's image for a video, accounting for the
+   * stereo layout. Falls back to 16:9 before metadata is known.
+   * @param {HTMLVideoElement} video
+   */
+  function getAspect(video) {
+    if (!video || !video.videoWidth || !video.videoHeight) return 16 / 9;
+    const r = eyeRect('left');
+    return (video.videoWidth * r[2]) / (video.videoHeight * r[3]);
+  }
+
+  /**
+   * Size in pixels of one eye's image (the color half for alpha-packed
+   * sources), i.e. the native resolution of the keyed output.
+   * @param {HTMLVideoElement} video
+   * @returns {{width: number, height: number}}
+   */
+  function getEyeSize(video) {
+    const r = eyeRect('left');
+    return {
+      width: Math.round(video.videoWidth * r[2]),
+      height: Math.round(video.videoHeight * r[3])
+    };
+  }
+
+  // ---- Alpha-packed source ----
+
+  /**
+   * Take alpha from a grayscale matte packed next to the color instead of
+   * keying. Rebuilds the key pass; refinement, temporal smoothing and the
+   * garbage matte still apply, despill does not.
+   * @param {string|null} layout 'sbs', 'tb', or null to go back to keying
+   * @param {boolean} [alphaFirst] Alpha is in the left/top half rather
+   *   than the right/bottom one
+   */
+  function setPackedAlpha(layout, alphaFirst) {
+    const next = PACKED_LAYOUTS.indexOf(layout) === -1
+      ? null
+      : { layout: layout, alphaFirst: !!alphaFirst };
+    const rebuild = !k.packedAlpha !== !next;
+    k.packedAlpha = next;
+    if (rebuild && passes) buildKeyPass();
+    k.matteStale = true;
+    invalidate();
+  }
+
+  function getPackedAlpha() { return k.packedAlpha ? Object.assign({}, k.packedAlpha) : null; }
+
+  /** Offset from a color texel to its alpha texel */
+  function alphaOffset() {
+    if (!k.packedAlpha) return [0, 0];
+    const d = k.packedAlpha.alphaFirst ? -0.5 : 0.5;
+    return k.packedAlpha.layout === 'sbs' ? [d, 0] : [0, d];
+  }
+
+  // ---- Projection ----
+
+  /**
+   * Screen geometry for XR: 'flat', 'curved', '180' (hemisphere) or '360'
+   * (full sphere). Sphere meshes have unit radius and are centered on the model
+   * origin, so the caller places them on the viewer.
+   * @param {string} name
+   */
+  function setProjection(name) {
+    if (!PROJECTIONS[name]) return;
+    k.currentProjection = name;
+    invalidate();
+  }
+
+  function getProjection() { return k.currentProjection; }
+
+  /**
+   * Bend of the curved screen, as the half-angle its arc subtends
+   * (halfWidth / radius). The mesh is rebuilt on the next render.
+   * @param {number} halfAngle Radians, 0 (flat) to PI (full cylinder)
+   */
+  function setScreenArc(halfAngle) {
+    halfAngle = Math.min(Math.PI, Math.max(0, halfAngle));
+    if (Math.abs(halfAngle - k.screenArc) < 1e-4) return;
+    k.screenArc = halfAngle;
+    k.arcStale = true;
+    invalidate();
+  }
+
+  // ---- Preview view ----
+
+  /** Preview view mode, see VIEW_MODES. XR always renders 'composite'. */
+  function setViewMode(name) {
+    if (!(name in VIEW_MODES)) return;
+    viewMode = name;
+    invalidate();
+  }
+
+  function getViewMode() { return viewMode; }
+
+  /** Split-view divider position, in texture u (0–1) */
+  function setSplitPosition(u) {
+    splitPosition = clamp01(u);
+    invalidate();
+  }
+
+  function getSplitPosition() { return splitPosition; }
+
+  /**
+   * Render the preview at a fixed resolution instead of the canvas's
+   * displayed size, e.g. the source's for exports. Pass nothing to go back.
+   * @param {number} [width]
+   * @param {number} [height]
+   */
+  function setPreviewResolution(width, height) {
+    previewSize = width > 0 && height > 0 ? [Math.round(width), Math.round(height)] : null;
+    invalidate();
+  }
+
+  // ---- Color grading ----
+
+  function setBrightness(val) { k.grading.brightness = parseFloat(val); invalidate(); }
+  function setContrast(val) { k.grading.contrast = parseFloat(val); invalidate(); }
+  function setSaturation(val) { k.grading.saturation = parseFloat(val); invalidate(); }
+  function setGamma(val) { k.grading.gamma = Math.max(0.05, parseFloat(val)); invalidate(); }
+  function setTemperature(val) { k.grading.temperature = parseFloat(val); invalidate(); }
+  function setTint(val) { k.grading.tint = parseFloat(val); invalidate(); }
+  function setOpacity(val) { k.grading.opacity = clamp01(val); invalidate(); }
+
+  function getGrading() { return Object.assign({}, k.grading); }
+
+  function resetGrading() {
+    Object.assign(k.grading, GRADING_DEFAULTS);
+    invalidate();
+  }
+
+  /** Per-channel gains for temperature (red/blue) and tint (green) */
+  function whiteBalance() {
+    return [
+      1 + 0.2 * k.grading.temperature,
+      1 - 0.2 * k.grading.tint,
+      1 - 0.2 * k.grading.temperature
+    ];
+  }
+
+  /**
+   * One-hot mask of the key color's dominant channel. Unsaturated keys
+   * (black, gray) have no color cast to remove, so the mask is zero.
+   */
+  function spillMask() {
+    const c = k.currentKeyColor;
+    const max = Math.max(c[0], c[1], c[2]);
+    if (max - Math.min(c[0], c[1], c[2]) < 0.1) return [0, 0, 0];
+    const idx = c.indexOf(max);
+    return [0, 1, 2].map((i) => (i === idx ? 1 : 0));
+  }
+
+  /**
+   * Set a parameter of a keying model (see MODEL_DEFAULTS for names).
+   * @param {string} model
+   * @param {string} param
+   * @param {number} val
+   */
+  function setModelParam(model, param, val) {
+    if (!k.modelParams[model] || !(param in k.modelParams[model])) return;
+    val = parseFloat(val);
+    // smoothstep() is undefined for an empty range
+    if (param === 'lowSoft' || param === 'highSoft') val = Math.max(0.001, val);
+    k.modelParams[model][param] = val;
+    k.matteStale = true;
+    invalidate();
+  }
+
+  function getModelParams(model) {
+    return Object.assign({}, k.modelParams[model || k.currentModel]);
+  }
+
+  /**
+   * Matte resolution / cost preset: 'performance', 'balanced' or 'quality'
+   * (see MATTE_QUALITY).
+   * @param {string} name
+   */
+  function setMatteQuality(name) {
+    if (!MATTE_QUALITY[name]) return;
+    k.currentQuality = name;
+    k.matteStale = true;
+    invalidate();
+  }
+
+  function getMatteQuality() { return k.currentQuality; }
+
+  /**
+   * Matte refinement radii in video pixels. erode chokes the matte inward,
+   * dilate grows it back (filling small holes), blur softens the edge.
+   * @param {{erode?: number, dilate?: number, blur?: number}} params
+   */
+  function setRefinement(params) {
+    Object.keys(k.refinement).forEach((step) => {
+      if (step in params) k.refinement[step] = Math.max(0, parseFloat(params[step]) || 0);
+    });
+    k.matteStale = true;
+    invalidate();
+  }
+
+  function getRefinement() { return Object.assign({}, k.refinement); }
+
+  /** Current model's parameters in uModelParams order */
+  function packModelParams() {
+    const names = KEY_MODELS[k.currentModel].params;
+    const out = [0, 0, 0, 0];
+    for (let i = 0; i < names.length; i++) out[i] = k.modelParams[k.currentModel][names[i]];
+    return out;
+  }
+
+  // ---- Garbage matte ----
+
+  /**
+   * Crop insets per edge, as fractions of the frame (0–0.5). Pixels outside
+   * are always transparent.
+   * @param {{left?: number, top?: number, right?: number, bottom?: number}} edges
+   */
+  function setCrop(edges) {
+    Object.keys(k.crop).forEach((edge) => {
+      if (edge in edges) k.crop[edge] = Math.min(0.5, clamp01(edges[edge]));
+    });
+    invalidate();
+  }
+
+  function getCrop() { return Object.assign({}, k.crop); }
+
+  /**
+   * Add a polygon mask. Later masks override earlier ones where they overlap.
+   * @param {number[][]} points [[u, v], ...] in texture coordinates
+   * @param {string} mode 'transparent' (garbage) or 'opaque' (holdout)
+   */
+  function addMask(points, mode) {
+    if (!points || points.length < 3) return;
+    k.masks.push({
+      points: points.map((p) => [clamp01(p[0]), clamp01(p[1])]),
+      mode: mode === 'opaque' ? 'opaque' : 'transparent'
+    });
+    k.garbageDirty = true;
+    invalidate();
+  }
+
+  function removeMask(index) {
+    k.masks.splice(index, 1);
+    k.garbageDirty = true;
+    invalidate();
+  }
+
+  function clearMasks() {
+    k.masks = [];
+    k.garbageDirty = true;
+    invalidate();
+  }
+
+  function getMasks() {
+    return k.masks.map((m) => ({ points: m.points.map((p) => p.slice()), mode: m.mode }));
+  }
+
+  /** Rasterize the polygon masks and upload them as the garbage matte texture */
+  function uploadGarbageMatte() {
+    if (!garbageCanvas) {
+      garbageCanvas = document.createElement('canvas');
+      garbageCanvas.width = GARBAGE_SIZE;
+      garbageCanvas.height = GARBAGE_SIZE;
+    }
+    const ctx = garbageCanvas.getContext('2d');
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, GARBAGE_SIZE, GARBAGE_SIZE);
+    for (const mask of k.masks) {
+      ctx.fillStyle = mask.mode === 'opaque' ? '#0f0' : '#f00';
+      ctx.beginPath();
+      mask.points.forEach((p, i) => {
+        const x = p[0] * GARBAGE_SIZE;
+        const y = p[1] * GARBAGE_SIZE;
+        if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+      });
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, k.garbageTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, garbageCanvas);
+    k.garbageDirty = false;
+  }
+
+  // ---- Color sampling ----
+
+  let sampleCanvas = null;
+  let sampleCtx = null;
+
+  /**
+   * Average the source video pixels inside a region given in texture
+   * coordinates (0–1, origin top-left). Tiny regions are grown to a few
+   * pixels so a single click still averages out compression noise.
+   * Throws if the video is cross-origin tainted.
+   *
+   * @param {HTMLVideoElement} video
+   * @param {number} u0
+   * @param {number} v0
+   * @param {number} u1
+   * @param {number} v1
+   * @returns {number[]} [r, g, b] in 0–1
+   */
+  function sampleColor(video, u0, v0, u1, v1) {
+    const vw = video.videoWidth;
+    const vh = video.videoHeight;
+    if (!vw || !vh) throw new Error('No video frame to sample.');
+
+    const MIN_SIZE = 5;
+    let x0 = Math.floor(Math.min(u0, u1) * vw);
+    let y0 = Math.floor(Math.min(v0, v1) * vh);
+    let x1 = Math.ceil(Math.max(u0, u1) * vw);
+    let y1 = Math.ceil(Math.max(v0, v1) * vh);
+    if (x1 - x0 < MIN_SIZE) { x0 = Math.round((x0 + x1 - MIN_SIZE) / 2); x1 = x0 + MIN_SIZE; }
+    if (y1 - y0 < MIN_SIZE) { y0 = Math.round((y0 + y1 - MIN_SIZE) / 2); y1 = y0 + MIN_SIZE; }
+    x0 = Math.max(0, x0); y0 = Math.max(0, y0);
+    x1 = Math.min(vw, x1); y1 = Math.min(vh, y1);
+    const w = x1 - x0;
+    const h = y1 - y0;
+
+    if (!sampleCanvas) {
+      sampleCanvas = document.createElement('canvas');
+      sampleCtx = sampleCanvas.getContext('2d', { willReadFrequently: true });
+    }
+    sampleCanvas.width = w;
+    sampleCanvas.height = h;
+    sampleCtx.drawImage(video, x0, y0, w, h, 0, 0, w, h);
+
+    let data;
+    try {
+      data = sampleCtx.getImageData(0, 0, w, h).data;
+    } catch (e) {
+      throw new Error('Cannot sample this video (CORS restricted).');
+    }
+
+    let r = 0, g = 0, b = 0;
+    const count = data.length / 4;
+    for (let i = 0; i < data.length; i += 4) {
+      r += data[i];
+      g += data[i + 1];
+      b += data[i + 2];
+    }
+    return [r / count / 255, g / count / 255, b / count / 255];
+  }
+
+  /**
+   * CPU mirror of the shader's keyDistance(), used to analyze frames. The
+   * HSV saturation/value gate is measured against a tolerance of 0.
+   * @param {number[]} color [r, g, b] 0–1
+   * @param {number[]} [key] defaults to the current key color
+   * @param {string} [model] defaults to the current key model
+   * @returns {number}
+   */
+  function keyDistance(color, key, model) {
+    key = key || k.currentKeyColor;
+    model = model || k.currentModel;
+    const p = k.modelParams[model];
+    if (model === 'ycbcr') {
+      const c = rgbToYCbCr(color);
+      const kc = rgbToYCbCr(key);
+      return Math.hypot(c[1] - kc[1], c[2] - kc[2]) * 2 + Math.abs(c[0] - kc[0]) * p.lumaWeight;
+    }
+    if (model === 'luma') {
+      const y = 0.299 * color[0] + 0.587 * color[1] + 0.114 * color[2];
+      return Math.max(Math.min(y - p.low, p.high - y), 0);
+    }
+    if (model === 'hsv') {
+      const c = rgbToHsv(color);
+      const kc = rgbToHsv(key);
+      let dh = Math.abs(c[0] - kc[0]);
+      dh = Math.min(dh, 1 - dh) * 2;
+      return Math.max(dh, p.satMin - c[1], p.valMin - c[2]);
+    }
+    return Math.hypot(color[0] - key[0], color[1] - key[1], color[2] - key[2]);
+  }
+
+  function rgbToYCbCr(c) {
+    const y = 0.299 * c[0] + 0.587 * c[1] + 0.114 * c[2];
+    return [y, (c[2] - y) * 0.565, (c[0] - y) * 0.713];
+  }
+
+  function rgbToHsv(c) {
+    const max = Math.max(c[0], c[1], c[2]);
+    const d = max - Math.min(c[0], c[1], c[2]);
+    let h = 0;
+    if (d > 0) {
+      if (max === c[0]) h = ((c[1] - c[2]) / d + 6) % 6;
+      else if (max === c[1]) h = (c[2] - c[0]) / d + 2;
+      else h = (c[0] - c[1]) / d + 4;
+    }
+    return [h / 6, max > 0 ? d / max : 0, max];
+  }
+
+  function clamp01(v) {
+    v = parseFloat(v);
+    return isNaN(v) ? 0 : Math.min(1, Math.max(0, v));
   }
 
   function getGL() { return gl; }
-  function getProgram() { return program; }
+  function getProgram() { return passes && passes.composite.program; }
 
   // ---- Identity matrix ----
   const IDENTITY = new Float32Array([
@@ -264,11 +1793,82 @@ const ChromaKey = (() => {
     render,
     renderPreview,
     setKeyColor,
+    setKeyColorRGB,
+    getKeyColor,
+    sampleColor,
+    keyDistance,
+    setCrop,
+    getCrop,
+    addMask,
+    removeMask,
+    clearMasks,
+    getMasks,
     setTolerance,
+    getTolerance,
+    getSmoothing,
     setSmoothing,
+    setKeyModel,
+    getKeyModel,
+    getChromaModel,
+    setSpillStrength,
+    setSpillMethod,
+    getSpillStrength,
+    getSpillMethod,
+    setModelParam,
+    getModelParams,
+    setStereoLayout,
+    getStereoLayout,
+    setPackedAlpha,
+    getPackedAlpha,
+    setProjection,
+    getProjection,
+    setScreenArc,
+    previewToTexture,
+    getAspect,
+    setViewMode,
+    getViewMode,
+    setSplitPosition,
+    getSplitPosition,
+    setBrightness,
+    setContrast,
+    setSaturation,
+    setGamma,
+    setTemperature,
+    setTint,
+    setOpacity,
+    getGrading,
+    resetGrading,
+    setMatteQuality,
+    getMatteQuality,
+    setRefinement,
+    getRefinement,
+    setTemporalStrength,
+    getTemporalStrength,
+    resetTemporal,
+    dispose,
+    onContextLost,
+    onChange,
+    invalidate,
+    getStats,
+    getEyeSize,
+    setPreviewResolution,
+    onContextRestored,
+    isContextLost,
+    createKeyer,
+    destroyKeyer,
+    setActiveKeyer,
+    getActiveKeyer,
+    withKeyer,
     getGL,
     getProgram,
     KEY_COLORS,
+    LUMA_PRESETS,
+    MODEL_DEFAULTS,
+    SPILL_METHODS,
+    MATTE_QUALITY,
+    GRADING_DEFAULTS,
+    VIEW_MODES,
+    PROJECTIONS,
     IDENTITY
   };
 })();
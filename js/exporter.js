@@ -0,0 +1,207 @@
+/**
+ * Exporter — gets the keyed result out of the app. Snapshots the preview
+ * canvas as a PNG with alpha and records it to WebM (VP9/VP8 with alpha)
+ * via MediaRecorder, optionally with the source's audio. Exports use the
+ * preview's view mode and run at the source's native resolution.
+ */
+const Exporter = (() => {
+
+  // Preferred first; alpha needs VP8 or VP9 in WebM
+  const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+  const AUDIO_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus'];
+  const VIDEO_BITS_PER_SECOND = 8000000;
+
+  let recorder = null;
+  let recording = null; // { chunks, resolve, reject, type }
+
+  function getCanvas() {
+    return document.getElementById('preview-canvas');
+  }
+
+  /** Whether this browser can record the canvas */
+  function canRecord() {
+    return typeof MediaRecorder !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+      !!pickType(VIDEO_TYPES);
+  }
+
+  function pickType(types) {
+    return types.find((t) => MediaRecorder.isTypeSupported(t)) || null;
+  }
+
+  /** Render the preview at the source's resolution from now on */
+  function useSourceResolution(video) {
+    const size = ChromaKey.getEyeSize(video);
+    ChromaKey.setPreviewResolution(size.width, size.height);
+  }
+
+  function requireVideo() {
+    const video = VideoPlayer.getVideo();
+    if (!video || !VideoPlayer.getReady() || !video.videoWidth) {
+      throw new Error('Load a video before exporting.');
+    }
+    const gl = ChromaKey.getGL();
+    if (!gl || gl.canvas !== getCanvas() || ChromaKey.isContextLost()) {
+      throw new Error('The preview is not available right now.');
+    }
+    return video;
+  }
+
+  // ---- Snapshot ----
+
+  /**
+   * Capture the current frame as a PNG with transparency.
+   * @returns {Promise<Blob>}
+   */
+  function snapshot() {
+    let video;
+    try {
+      video = requireVideo();
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    if (!recording) useSourceResolution(video);
+    // The drawing buffer is only readable until the frame is presented, so
+    // draw and capture in the same task
+    ChromaKey.renderPreview(video);
+    const canvas = getCanvas();
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (blob) resolve(blob);
+        else reject(new Error('Could not encode the snapshot.'));
+      }, 'image/png');
+      if (!recording) ChromaKey.setPreviewResolution();
+    });
+  }
+
+  // ---- Recording ----
+
+  /**
+   * Start recording the preview. Frames are captured whenever the preview
+   * redraws, so a paused video simply holds its frame.
+   * @param {{audio?: boolean}} [options] Include the source's audio track
+   * @returns {Promise<Blob>} Resolves with the WebM once recording stops
+   *   (see stopRecording), for whatever reason it stops
+   */
+  function startRecording(options) {
+    options = options || {};
+    if (recording) return Promise.reject(new Error('Already recording.'));
+    if (!canRecord()) return Promise.reject(new Error('Recording is not supported in this browser.'));
+
+    let video;
+    try {
+      video = requireVideo();
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    // Fix the size first: the encoder doesn't follow resolution changes
+    useSourceResolution(video);
+    ChromaKey.renderPreview(video);
+    const stream = getCanvas().captureStream();
+    let type = pickType(VIDEO_TYPES);
+
+    if (options.audio) {
+      const tracks = audioTracks(video);
+      if (tracks.length) {
+        tracks.forEach((track) => stream.addTrack(track));
+        type = pickType(AUDIO_TYPES) || type;
+      }
+    }
+
+    try {
+      recorder = new MediaRecorder(stream, {
+        mimeType: type,
+        videoBitsPerSecond: VIDEO_BITS_PER_SECOND
+      });
+    } catch (err) {
+      ChromaKey.setPreviewResolution();
+      return Promise.reject(err);
+    }
+
+    return new Promise((resolve, reject) => {
+      recording = { chunks: [], resolve: resolve, reject: reject, type: type };
+      recorder.addEventListener('dataavailable', (e) => {
+        if (e.data && e.data.size) recording.chunks.push(e.data);
+      });
+      recorder.addEventListener('stop', () => finish(stream));
+      recorder.addEventListener('error', (e) => {
+        const done = recording;
+        if (!done) return;
+        cleanup(stream);
+        done.reject(e.error || new Error('Recording failed.'));
+      });
+      recorder.start(1000); // flush every second so a crash loses little
+    });
+  }
+
+  /** Stop recording; the promise from startRecording resolves with the file */
+  function stopRecording() {
+    if (recorder && recorder.state !== 'inactive') recorder.stop();
+  }
+
+  function isRecording() { return !!recording; }
+
+  function finish(stream) {
+    const done = recording;
+    if (!done) return;
+    cleanup(stream);
+    done.resolve(new Blob(done.chunks, { type: done.type.split(';')[0] }));
+  }
+
+  function cleanup(stream) {
+    // Stopping the captured tracks doesn't affect the canvas or video
+    stream.getTracks().forEach((track) => track.stop());
+    recorder = null;
+    recording = null;
+    ChromaKey.setPreviewResolution();
+  }
+
+  /**
+   * The video's audio tracks, via captureStream. Empty if it has none or
+   * the browser can't capture it (e.g. a cross-origin source).
+   */
+  function audioTracks(video) {
+    try {
+      const capture = video.captureStream || video.mozCaptureStream;
+      if (!capture) return [];
+      return capture.call(video).getAudioTracks();
+    } catch (err) {
+      return [];
+    }
+  }
+
+  // ---- Saving ----
+
+  /**
+   * Save a blob through a temporary download link.
+   * @param {Blob} blob
+   * @param {string} filename
+   */
+  function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /** File name like chromakey-2024-05-01-12-30-05.png */
+  function fileName(ext) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    return 'chromakey-' + stamp + '.' + ext;
+  }
+
+  return {
+    canRecord,
+    snapshot,
+    startRecording,
+    stopRecording,
+    isRecording,
+    download,
+    fileName
+  };
+})();
@@ -0,0 +1,114 @@
+/**
+ * ScreenManager — the keyed screens placed around the room.
+ * Each screen pairs a VideoPlayer player with a ChromaKey keyer and has its
+ * own transform. The active screen is the one the UI edits: making a screen
+ * active also activates its player and keyer, so the VideoPlayer and
+ * ChromaKey module functions act on it.
+ */
+const ScreenManager = (() => {
+
+  const MAX_SCREENS = 4;
+  const SPAWN_OFFSET = 2.0; // new screens appear this far (m) right of the active one
+
+  // Placement of a screen, read by App when building its model matrix
+  const DEFAULT_TRANSFORM = {
+    distance: 2.0,   // meters in front of the viewer
+    scale: 1.0,
+    offsetX: 0,      // horizontal offset in meters
+    offsetY: 1.5,    // vertical position in meters (eye height)
+    curvature: 0.5,  // curved projection: distance / arc radius
+    yaw: 0,          // degrees, 180/360 projections
+    pitch: 0
+  };
+
+  let screens = [];
+  let active = null;
+  let nextId = 1;
+  const listeners = [];
+
+  /** Wrap the default player and keyer as the first screen */
+  function init() {
+    if (screens.length) return;
+    active = makeScreen(VideoPlayer.getActive(), ChromaKey.getActiveKeyer(), DEFAULT_TRANSFORM);
+    screens.push(active);
+  }
+
+  function makeScreen(player, keyer, transform) {
+    return {
+      id: nextId++,
+      player: player,
+      keyer: keyer,
+      transform: Object.assign({}, transform)
+    };
+  }
+
+  /**
+   * Add a screen next to the active one, with a copy of its key settings,
+   * and make it active. The caller loads its video.
+   * @returns {object|null} The new screen, or null at MAX_SCREENS
+   */
+  function add() {
+    if (screens.length >= MAX_SCREENS) return null;
+    const transform = Object.assign({}, active.transform, {
+      offsetX: active.transform.offsetX + SPAWN_OFFSET
+    });
+    const screen = makeScreen(VideoPlayer.createPlayer(), ChromaKey.createKeyer(active.keyer), transform);
+    screens.push(screen);
+    setActive(screen);
+    return screen;
+  }
+
+  /**
+   * Remove a screen (the active one by default). The last screen can't be
+   * removed.
+   * @returns {boolean} Whether it was removed
+   */
+  function remove(screen) {
+    screen = screen || active;
+    const idx = screens.indexOf(screen);
+    if (idx === -1 || screens.length === 1) return false;
+    screens.splice(idx, 1);
+    if (screen === active) setActive(screens[Math.min(idx, screens.length - 1)]);
+    screen.player.destroy();
+    ChromaKey.destroyKeyer(screen.keyer);
+    return true;
+  }
+
+  function setActive(screen) {
+    if (screens.indexOf(screen) === -1) return;
+    active = screen;
+    VideoPlayer.setActive(screen.player);
+    ChromaKey.setActiveKeyer(screen.keyer);
+    listeners.forEach((fn) => fn(screen));
+  }
+
+  /** Activate the next (step 1) or previous (step -1) screen */
+  function cycle(step) {
+    const idx = screens.indexOf(active);
+    setActive(screens[(idx + step + screens.length) % screens.length]);
+  }
+
+  /** Call fn(screen) whenever the active screen changes */
+  function onChange(fn) {
+    listeners.push(fn);
+  }
+
+  function getActive() { return active; }
+  function getScreens() { return screens.slice(); }
+
+  /** 1-based position of a screen, for labels */
+  function getNumber(screen) { return screens.indexOf(screen || active) + 1; }
+
+  return {
+    init,
+    add,
+    remove,
+    setActive,
+    cycle,
+    onChange,
+    getActive,
+    getScreens,
+    getNumber,
+    MAX_SCREENS
+  };
+})();
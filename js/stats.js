@@ -0,0 +1,245 @@
+/**
+ * Stats — render and video performance numbers for the HUD and for logging.
+ * App brackets every rendered frame with beginFrame/endFrame; while enabled,
+ * the counters are turned into a sample once per second (see getStats).
+ * GPU time uses EXT_disjoint_timer_query where the browser exposes it.
+ */
+const Stats = (() => {
+
+  const SAMPLE_INTERVAL = 1000; // ms
+  const MAX_PENDING_QUERIES = 8;
+
+  let enabled = false;
+  let timerId = null;
+  let sample = null;
+  const listeners = [];
+
+  // Counters since the last sample
+  let frames = 0;
+  let gpuTime = 0;
+  let gpuFrames = 0;
+  let outputWidth = 0;
+  let outputHeight = 0;
+  let lastSampleTime = 0;
+  let lastUploads = null; // { count, time } totals at the last sample
+  let lastVideo = null;
+  let lastDecoded = 0;
+
+  // GPU timer
+  let timerGL = null;
+  let timer = null;      // adapter over the WebGL1/2 extension, or null
+  let pending = [];      // queries waiting for results, oldest first
+  let activeQuery = null;
+
+  /**
+   * Start or stop collecting. Sampling and GPU queries cost a little, so
+   * they only run while the HUD is shown or someone is logging.
+   * @param {boolean} on
+   */
+  function setEnabled(on) {
+    on = !!on;
+    if (on === enabled) return;
+    enabled = on;
+    if (enabled) {
+      resetCounters();
+      timerId = setInterval(takeSample, SAMPLE_INTERVAL);
+    } else {
+      clearInterval(timerId);
+      timerId = null;
+      dropQueries();
+      sample = null;
+    }
+  }
+
+  function isEnabled() { return enabled; }
+
+  /** Call fn(sample) each time a new sample is taken */
+  function onUpdate(fn) {
+    listeners.push(fn);
+  }
+
+  /**
+   * The latest sample, or null if collection is off or hasn't completed a
+   * second yet:
+   *   renderFps      frames rendered per second (0 while the preview idles)
+   *   videoFps       frames decoded per second by the active screen's video
+   *   droppedFrames  dropped frames reported by getVideoPlaybackQuality (total)
+   *   uploadMs       average CPU time per video texture upload
+   *   gpuMs          average GPU time per rendered frame, null if unsupported
+   *   video, matte, output  { width, height } in pixels
+   *   webgl2         whether the context is WebGL2
+   * @returns {object|null}
+   */
+  function getStats() {
+    return sample ? JSON.parse(JSON.stringify(sample)) : null;
+  }
+
+  // ---- Frame hooks ----
+
+  /** Mark the start of a rendered frame (preview draw or XR frame) */
+  function beginFrame(gl) {
+    if (!enabled) return;
+    if (gl !== timerGL) setupTimer(gl);
+    if (!timer || activeQuery || pending.length >= MAX_PENDING_QUERIES) return;
+    activeQuery = timer.begin();
+  }
+
+  /**
+   * Mark the end of a rendered frame.
+   * @param {number} width  Output size in pixels (canvas or XR framebuffer)
+   * @param {number} height
+   */
+  function endFrame(width, height) {
+    if (!enabled) return;
+    frames++;
+    outputWidth = width;
+    outputHeight = height;
+    if (activeQuery) {
+      timer.end();
+      pending.push(activeQuery);
+      activeQuery = null;
+    }
+    collectQueries();
+  }
+
+  // ---- GPU timer ----
+
+  /** Wrap whichever timer query extension the context has */
+  function setupTimer(gl) {
+    dropQueries();
+    timer = null;
+    // Retried on the next frame until the context is usable
+    timerGL = gl && !gl.isContextLost() ? gl : null;
+    if (!timerGL) return;
+
+    const ext2 = gl.getExtension('EXT_disjoint_timer_query_webgl2');
+    if (ext2) {
+      timer = {
+        begin() {
+          const q = gl.createQuery();
+          gl.beginQuery(ext2.TIME_ELAPSED_EXT, q);
+          return q;
+        },
+        end() { gl.endQuery(ext2.TIME_ELAPSED_EXT); },
+        available(q) { return gl.getQueryParameter(q, gl.QUERY_RESULT_AVAILABLE); },
+        result(q) { return gl.getQueryParameter(q, gl.QUERY_RESULT); },
+        disjoint() { return gl.getParameter(ext2.GPU_DISJOINT_EXT); },
+        remove(q) { gl.deleteQuery(q); }
+      };
+      return;
+    }
+    const ext1 = gl.getExtension('EXT_disjoint_timer_query');
+    if (ext1) {
+      timer = {
+        begin() {
+          const q = ext1.createQueryEXT();
+          ext1.beginQueryEXT(ext1.TIME_ELAPSED_EXT, q);
+          return q;
+        },
+        end() { ext1.endQueryEXT(ext1.TIME_ELAPSED_EXT); },
+        available(q) { return ext1.getQueryObjectEXT(q, ext1.QUERY_RESULT_AVAILABLE_EXT); },
+        result(q) { return ext1.getQueryObjectEXT(q, ext1.QUERY_RESULT_EXT); },
+        disjoint() { return gl.getParameter(ext1.GPU_DISJOINT_EXT); },
+        remove(q) { ext1.deleteQueryEXT(q); }
+      };
+    }
+  }
+
+  /** Read finished queries; results arrive a few frames late, in order */
+  function collectQueries() {
+    if (!pending.length) return;
+    // A disjoint event (e.g. GPU clock change) invalidates every query in flight
+    if (timer.disjoint()) {
+      dropQueries();
+      return;
+    }
+    while (pending.length && timer.available(pending[0])) {
+      const q = pending.shift();
+      gpuTime += timer.result(q) / 1e6; // ns -> ms
+      gpuFrames++;
+      timer.remove(q);
+    }
+  }
+
+  function dropQueries() {
+    if (timer && timerGL && !timerGL.isContextLost()) {
+      if (activeQuery) timer.end();
+      pending.forEach((q) => timer.remove(q));
+      if (activeQuery) timer.remove(activeQuery);
+    }
+    pending = [];
+    activeQuery = null;
+  }
+
+  // ---- Sampling ----
+
+  function resetCounters() {
+    frames = 0;
+    gpuTime = 0;
+    gpuFrames = 0;
+    lastSampleTime = performance.now();
+    const ck = ChromaKey.getStats();
+    lastUploads = { count: ck.uploads, time: ck.uploadTime };
+    lastVideo = null;
+    videoQuality(); // baseline for the first sample's decode rate
+  }
+
+  function takeSample() {
+    const now = performance.now();
+    const seconds = (now - lastSampleTime) / 1000;
+    const ck = ChromaKey.getStats();
+    const uploads = ck.uploads - lastUploads.count;
+    const quality = videoQuality();
+
+    sample = {
+      renderFps: frames / seconds,
+      videoFps: quality ? quality.decoded / seconds : 0,
+      droppedFrames: quality ? quality.dropped : 0,
+      uploadMs: uploads ? (ck.uploadTime - lastUploads.time) / uploads : 0,
+      gpuMs: timer ? (gpuFrames ? gpuTime / gpuFrames : 0) : null,
+      video: { width: ck.videoWidth, height: ck.videoHeight },
+      matte: { width: ck.matteWidth, height: ck.matteHeight },
+      output: { width: outputWidth, height: outputHeight },
+      webgl2: ck.webgl2
+    };
+
+    frames = 0;
+    gpuTime = 0;
+    gpuFrames = 0;
+    lastSampleTime = now;
+    lastUploads = { count: ck.uploads, time: ck.uploadTime };
+    listeners.forEach((fn) => fn(getStats()));
+  }
+
+  /** Frames decoded since the last sample and total dropped, for the active video */
+  function videoQuality() {
+    const video = VideoPlayer.getVideo();
+    if (!video || typeof video.getVideoPlaybackQuality !== 'function') return null;
+    const q = video.getVideoPlaybackQuality();
+    // A different screen or a reloaded source restarts the counts
+    if (video !== lastVideo || q.totalVideoFrames < lastDecoded) {
+      lastVideo = video;
+      lastDecoded = q.totalVideoFrames;
+    }
+    const decoded = q.totalVideoFrames - lastDecoded;
+    lastDecoded = q.totalVideoFrames;
+    return { decoded: decoded, dropped: q.droppedVideoFrames };
+  }
+
+  // Queries belong to the context; a lost one takes them with it
+  ChromaKey.onContextLost(() => {
+    pending = [];
+    activeQuery = null;
+    timerGL = null;
+    timer = null;
+  });
+
+  return {
+    setEnabled,
+    isEnabled,
+    onUpdate,
+    getStats,
+    beginFrame,
+    endFrame
+  };
+})();
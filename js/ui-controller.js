@@ -6,23 +6,43 @@ const UIController = (() => {
 
   // ---- State ----
   let currentColor = 'green';
+  let customColor = null;  // [r, g, b] 0–1, set by the eyedropper
+  let canvasTool = null;    // 'eyedropper' | 'mask' | null
+  let draftMask = [];      // polygon being drawn, [[u, v], ...]
+  let backdropUrl = null;  // object URL of the preview backdrop image
   let tolerance = 0.35;
   let smoothing = 0.10;
-  let screenDistance = 2.0;
-  let screenScale = 1.0;
-  let screenOffsetX = 0;   // horizontal offset in meters
-  let screenOffsetY = 1.5; // vertical position in meters (eye height)
+  let spill = 0.0;
+  let projection = 'flat';
+  let proxyHealth = {};    // proxy URL -> last checkProxy() result
 
-  // Move/resize step sizes
+  // Move/resize/rotate step sizes
   const MOVE_STEP = 0.15;
   const DEPTH_STEP = 0.3;
   const SCALE_STEP = 0.15;
+  const ROTATE_STEP = 15;
+
+  const PROJECTION_LABELS = { flat: 'Flat', curved: 'Curved', '180': '180\u00b0', '360': '360\u00b0' };
+
+  // Color grading slider (data-grade) -> ChromaKey setter
+  const GRADE_SETTERS = {
+    brightness:  'setBrightness',
+    contrast:    'setContrast',
+    saturation:  'setSaturation',
+    gamma:       'setGamma',
+    temperature: 'setTemperature',
+    tint:        'setTint',
+    opacity:     'setOpacity'
+  };
 
   // ---- DOM refs ----
   const $ = (id) => document.getElementById(id);
 
   let elements = {};
 
+  /** Placement of the active screen (see ScreenManager) */
+  const transform = () => ScreenManager.getActive().transform;
+
   /**
    * Attach a tap handler that works in both 2D and XR DOM Overlay.
    * Listens on pointerup + click + touchend to cover all Quest input modes.
@@ -33,7 +53,7 @@ const UIController = (() => {
     function wrap(e) {
       e.preventDefault();
       e.stopPropagation();
-      if (handled) return;
+      if (handled || el.disabled) return; // pointerup still fires on disabled buttons
       handled = true;
       handler(e);
       setTimeout(function() { handled = false; }, 300);
@@ -45,21 +65,112 @@ const UIController = (() => {
 
   function init() {
     elements = {
+      screenSelect:    $('screen-select'),
+      addScreenBtn:    $('add-screen-btn'),
+      removeScreenBtn: $('remove-screen-btn'),
       videoUrl:       $('video-url'),
       loadBtn:        $('load-btn'),
+      openFileBtn:    $('open-file-btn'),
+      videoFile:      $('video-file'),
+      qualityRow:     $('quality-row'),
+      qualitySelect:  $('quality-select'),
+      proxyList:        $('proxy-list'),
+      proxyUrl:         $('proxy-url'),
+      addProxyBtn:      $('add-proxy-btn'),
+      checkProxiesBtn:  $('check-proxies-btn'),
+      resetProxiesBtn:  $('reset-proxies-btn'),
       statusBar:      $('status-bar'),
+      retryBtn:       $('retry-btn'),
       previewMsg:     $('preview-msg'),
+      previewCanvas:  $('preview-canvas'),
+      previewContainer: $('preview-container'),
+      splitHandle:    $('split-handle'),
+      viewModeSelect: $('view-mode-select'),
+      backdropSelect: $('backdrop-select'),
+      backdropColor:  $('backdrop-color'),
+      backdropFile:   $('backdrop-file'),
+      statsCheck:     $('stats-check'),
+      previewStats:   $('preview-stats'),
+      pickRect:       $('pick-rect'),
+      pickHint:       $('pick-hint'),
+      eyedropperBtn:  $('eyedropper-btn'),
+      calibrateBtn:   $('calibrate-btn'),
+      resetGradingBtn:  $('reset-grading-btn'),
+      matteQualitySelect: $('matte-quality-select'),
+      refineSliders: {
+        erode:  $('erode-slider'),
+        dilate: $('dilate-slider'),
+        blur:   $('blur-slider')
+      },
+      refineValues: {
+        erode:  $('erode-value'),
+        dilate: $('dilate-value'),
+        blur:   $('blur-value')
+      },
+      temporalSlider: $('temporal-slider'),
+      temporalValue:  $('temporal-value'),
+      matteOverlay:   $('matte-overlay'),
+      maskModeSelect: $('mask-mode-select'),
+      drawMaskBtn:    $('draw-mask-btn'),
+      undoMaskBtn:    $('undo-mask-btn'),
+      clearMasksBtn:  $('clear-masks-btn'),
+      cropSliders: {
+        left:   $('crop-left-slider'),
+        right:  $('crop-right-slider'),
+        top:    $('crop-top-slider'),
+        bottom: $('crop-bottom-slider')
+      },
+      cropValues: {
+        left:   $('crop-left-value'),
+        right:  $('crop-right-value'),
+        top:    $('crop-top-value'),
+        bottom: $('crop-bottom-value')
+      },
+      customColorBtn: $('custom-color-btn'),
       videoControls:  $('video-controls'),
       playPauseBtn:   $('play-pause-btn'),
       restartBtn:     $('restart-btn'),
+      snapshotBtn:    $('snapshot-btn'),
+      recordBtn:      $('record-btn'),
+      recordAudioCheck: $('record-audio-check'),
+      keyModelSelect:   $('key-model-select'),
+      lumaWeightSlider: $('luma-weight-slider'),
+      lumaWeightValue:  $('luma-weight-value'),
+      satMinSlider:     $('sat-min-slider'),
+      satMinValue:      $('sat-min-value'),
+      valMinSlider:     $('val-min-slider'),
+      valMinValue:      $('val-min-value'),
+      lumaSliders: {
+        low:      $('luma-low-slider'),
+        lowSoft:  $('luma-low-soft-slider'),
+        high:     $('luma-high-slider'),
+        highSoft: $('luma-high-soft-slider')
+      },
+      lumaValues: {
+        low:      $('luma-low-value'),
+        lowSoft:  $('luma-low-soft-value'),
+        high:     $('luma-high-value'),
+        highSoft: $('luma-high-soft-value')
+      },
       toleranceSlider:  $('tolerance-slider'),
       toleranceValue:   $('tolerance-value'),
       smoothingSlider:  $('smoothing-slider'),
       smoothingValue:   $('smoothing-value'),
+      spillSlider:      $('spill-slider'),
+      spillValue:       $('spill-value'),
+      spillMethodSelect: $('spill-method-select'),
       distanceSlider:   $('distance-slider'),
       distanceValue:    $('distance-value'),
       scaleSlider:      $('scale-slider'),
       scaleValue:       $('scale-value'),
+      stereoSelect:     $('stereo-select'),
+      swapEyesCheck:    $('swap-eyes-check'),
+      projectionSelect: $('projection-select'),
+      packedSelect:     $('packed-select'),
+      alphaHalfSelect:  $('alpha-half-select'),
+      keySection:       $('key-section'),
+      curvatureSlider:  $('curvature-slider'),
+      curvatureValue:   $('curvature-value'),
       enterMrBtn:       $('enter-mr-btn'),
       // XR overlay
       xrOverlay:          $('xr-overlay'),
@@ -67,58 +178,212 @@ const UIController = (() => {
       xrColorToggle:      $('xr-color-toggle'),
       xrToleranceSlider:  $('xr-tolerance-slider'),
       xrToleranceValue:   $('xr-tolerance-value'),
+      xrSpillSlider:      $('xr-spill-slider'),
+      xrSpillValue:       $('xr-spill-value'),
       xrExitBtn:          $('xr-exit-btn'),
       xrSizeLabel:        $('xr-size-label'),
+      xrScreenLabel:      $('xr-screen-label'),
+      xrPrevScreen:       $('xr-prev-screen'),
+      xrNextScreen:       $('xr-next-screen'),
+      xrAddScreen:        $('xr-add-screen'),
+      xrRemoveScreen:     $('xr-remove-screen'),
+      xrFlatControls:     $('xr-flat-controls'),
+      xrSphereControls:   $('xr-sphere-controls'),
+      xrProjectionToggle: $('xr-projection-toggle'),
+      xrCurvatureSlider:  $('xr-curvature-slider'),
+      xrCurvatureValue:   $('xr-curvature-value'),
       xrSmaller:          $('xr-smaller'),
       xrBigger:           $('xr-bigger'),
-      xrRestart:          $('xr-restart')
+      xrRestart:          $('xr-restart'),
+      xrStats:            $('xr-stats'),
+      xrStatsToggle:      $('xr-stats-toggle')
     };
 
     bindEvents();
+    ScreenManager.onChange(syncScreenControls);
+    updateScreenList();
+    updateScreenArc();
+    renderProxyList();
     checkUrlParam();
   }
 
   function bindEvents() {
     // ---- 2D UI events ----
 
+    // Screens
+    elements.screenSelect.addEventListener('change', (e) => {
+      const screen = ScreenManager.getScreens()[parseInt(e.target.value, 10)];
+      if (screen) ScreenManager.setActive(screen);
+    });
+    onTap(elements.addScreenBtn, addScreen);
+    onTap(elements.removeScreenBtn, removeScreen);
+
     // Load video
     onTap(elements.loadBtn, handleLoadVideo);
     elements.videoUrl.addEventListener('keydown', (e) => {
       if (e.key === 'Enter') handleLoadVideo();
     });
 
+    // Local files: picker or drop onto the preview
+    onTap(elements.openFileBtn, () => elements.videoFile.click());
+    elements.videoFile.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = ''; // picking the same file again still fires change
+      if (file) loadVideo(file);
+    });
+    bindFileDrop();
+
+    // Load status comes from the players, whichever screen is loading
+    VideoPlayer.on('loadstart', (e) => setStatus(screenPrefix(e.player) + 'Loading video...', ''));
+    VideoPlayer.on('progress', (e) => setStatus(screenPrefix(e.player) + e.message, ''));
+    VideoPlayer.on('ready', onVideoReady);
+    VideoPlayer.on('error', onVideoError);
+    onTap(elements.retryBtn, retryLoad);
+
+    // CORS proxies
+    onTap(elements.addProxyBtn, addProxy);
+    elements.proxyUrl.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') addProxy();
+    });
+    onTap(elements.checkProxiesBtn, checkProxies);
+    onTap(elements.resetProxiesBtn, () => {
+      VideoPlayer.resetProxies();
+      renderProxyList();
+      setStatus('Proxy list restored to the defaults.', 'success');
+    });
+
+    // Adaptive stream rendition
+    elements.qualitySelect.addEventListener('change', (e) => {
+      VideoPlayer.setQuality(parseInt(e.target.value, 10));
+    });
+
     // Color buttons
     document.querySelectorAll('.color-btn').forEach((btn) => {
       onTap(btn, () => setActiveColor(btn.dataset.color));
     });
 
-    // Tolerance slider
-    elements.toleranceSlider.addEventListener('input', (e) => {
-      tolerance = parseFloat(e.target.value);
-      elements.toleranceValue.textContent = tolerance.toFixed(2);
-      ChromaKey.setTolerance(tolerance);
+    // Preview view mode and backdrop
+    elements.viewModeSelect.addEventListener('change', (e) => setViewMode(e.target.value));
+    bindSplitHandle();
+    elements.backdropSelect.addEventListener('change', (e) => setBackdrop(e.target.value));
+    elements.backdropColor.addEventListener('input', () => setBackdrop('solid'));
+    elements.backdropFile.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      if (backdropUrl) URL.revokeObjectURL(backdropUrl);
+      backdropUrl = URL.createObjectURL(file);
+      setBackdrop('image');
+    });
+
+    // Stats HUD
+    elements.statsCheck.addEventListener('change', (e) => setStatsVisible(e.target.checked));
+    Stats.onUpdate(renderStats);
+
+    // Eyedropper
+    onTap(elements.eyedropperBtn, () => {
+      setCanvasTool(canvasTool === 'eyedropper' ? null : 'eyedropper');
+    });
+    bindCanvasTools();
+
+    // Color grading (2D section and compact XR sliders share data-grade keys)
+    document.querySelectorAll('[data-grade]').forEach((slider) => {
+      slider.addEventListener('input', (e) => setGrade(slider.dataset.grade, e.target.value));
+    });
+    onTap(elements.resetGradingBtn, () => {
+      ChromaKey.resetGrading();
+      Object.keys(GRADE_SETTERS).forEach((key) => setGrade(key, ChromaKey.GRADING_DEFAULTS[key]));
+    });
+
+    // Matte refinement
+    elements.matteQualitySelect.addEventListener('change', (e) => {
+      ChromaKey.setMatteQuality(e.target.value);
+    });
+    Object.keys(elements.refineSliders).forEach((step) => {
+      elements.refineSliders[step].addEventListener('input', (e) => {
+        const params = {};
+        params[step] = parseFloat(e.target.value);
+        ChromaKey.setRefinement(params);
+        elements.refineValues[step].textContent = params[step] + 'px';
+      });
+    });
+
+    elements.temporalSlider.addEventListener('input', (e) => {
+      const val = parseFloat(e.target.value);
+      ChromaKey.setTemporalStrength(val);
+      elements.temporalValue.textContent = val.toFixed(2);
     });
 
+    // Garbage matte
+    Object.keys(elements.cropSliders).forEach((edge) => {
+      elements.cropSliders[edge].addEventListener('input', (e) => setCropEdge(edge, e.target.value));
+    });
+    onTap(elements.drawMaskBtn, () => setCanvasTool(canvasTool === 'mask' ? null : 'mask'));
+    onTap(elements.undoMaskBtn, () => {
+      if (draftMask.length) {
+        draftMask.pop();
+      } else {
+        const count = ChromaKey.getMasks().length;
+        if (count) ChromaKey.removeMask(count - 1);
+      }
+      drawMatteOverlay();
+    });
+    onTap(elements.clearMasksBtn, () => {
+      draftMask = [];
+      ChromaKey.clearMasks();
+      drawMatteOverlay();
+    });
+
+    // Auto calibrate
+    onTap(elements.calibrateBtn, handleAutoCalibrate);
+
+    // Keying model
+    elements.keyModelSelect.addEventListener('change', (e) => setKeyModel(e.target.value));
+    bindModelParam(elements.lumaWeightSlider, elements.lumaWeightValue, 'ycbcr', 'lumaWeight');
+    bindModelParam(elements.satMinSlider, elements.satMinValue, 'hsv', 'satMin');
+    bindModelParam(elements.valMinSlider, elements.valMinValue, 'hsv', 'valMin');
+    Object.keys(elements.lumaSliders).forEach((param) => {
+      bindModelParam(elements.lumaSliders[param], elements.lumaValues[param], 'luma', param);
+    });
+
+    // Tolerance slider
+    elements.toleranceSlider.addEventListener('input', (e) => setTolerance(e.target.value));
+
     // Smoothing slider
-    elements.smoothingSlider.addEventListener('input', (e) => {
-      smoothing = parseFloat(e.target.value);
-      elements.smoothingValue.textContent = smoothing.toFixed(2);
-      ChromaKey.setSmoothing(smoothing);
+    elements.smoothingSlider.addEventListener('input', (e) => setSmoothing(e.target.value));
+
+    // Spill suppression
+    elements.spillSlider.addEventListener('input', (e) => setSpill(e.target.value));
+    elements.spillMethodSelect.addEventListener('change', (e) => {
+      ChromaKey.setSpillMethod(e.target.value);
     });
 
     // Distance slider
     elements.distanceSlider.addEventListener('input', (e) => {
-      screenDistance = parseFloat(e.target.value);
-      elements.distanceValue.textContent = screenDistance.toFixed(1) + 'm';
+      transform().distance = parseFloat(e.target.value);
+      elements.distanceValue.textContent = transform().distance.toFixed(1) + 'm';
+      updateScreenArc();
     });
 
     // Scale slider
     elements.scaleSlider.addEventListener('input', (e) => {
-      screenScale = parseFloat(e.target.value);
-      elements.scaleValue.textContent = screenScale.toFixed(1) + 'x';
+      transform().scale = parseFloat(e.target.value);
+      elements.scaleValue.textContent = transform().scale.toFixed(1) + 'x';
       updateSizeLabel();
+      updateScreenArc();
     });
 
+    // Stereo layout
+    elements.stereoSelect.addEventListener('change', updateStereoLayout);
+    elements.swapEyesCheck.addEventListener('change', updateStereoLayout);
+
+    // Alpha-packed source
+    elements.packedSelect.addEventListener('change', updatePackedAlpha);
+    elements.alphaHalfSelect.addEventListener('change', updatePackedAlpha);
+
+    // Projection
+    elements.projectionSelect.addEventListener('change', (e) => setProjection(e.target.value));
+    elements.curvatureSlider.addEventListener('input', (e) => setCurvature(e.target.value));
+
     // Play/Pause (2D)
     onTap(elements.playPauseBtn, () => {
       const playing = VideoPlayer.togglePlayPause();
@@ -128,6 +393,14 @@ const UIController = (() => {
     // Restart (2D)
     onTap(elements.restartBtn, doRestart);
 
+    // Export
+    onTap(elements.snapshotBtn, takeSnapshot);
+    onTap(elements.recordBtn, toggleRecording);
+    if (!Exporter.canRecord()) {
+      elements.recordBtn.disabled = true;
+      elements.recordBtn.title = 'Recording WebM is not supported in this browser';
+    }
+
     // Enter MR
     onTap(elements.enterMrBtn, () => {
       if (typeof App !== 'undefined' && App.startXR) App.startXR();
@@ -139,28 +412,54 @@ const UIController = (() => {
     document.querySelectorAll('[data-move]').forEach((btn) => {
       onTap(btn, () => {
         const dir = btn.dataset.move;
+        const t = transform();
         switch (dir) {
-          case 'left':    screenOffsetX -= MOVE_STEP; break;
-          case 'right':   screenOffsetX += MOVE_STEP; break;
-          case 'up':      screenOffsetY += MOVE_STEP; break;
-          case 'down':    screenOffsetY -= MOVE_STEP; break;
-          case 'closer':  screenDistance = Math.max(0.3, screenDistance - DEPTH_STEP); break;
-          case 'farther': screenDistance = Math.min(10, screenDistance + DEPTH_STEP); break;
+          case 'left':    t.offsetX -= MOVE_STEP; break;
+          case 'right':   t.offsetX += MOVE_STEP; break;
+          case 'up':      t.offsetY += MOVE_STEP; break;
+          case 'down':    t.offsetY -= MOVE_STEP; break;
+          case 'closer':  t.distance = Math.max(0.3, t.distance - DEPTH_STEP); break;
+          case 'farther': t.distance = Math.min(10, t.distance + DEPTH_STEP); break;
+        }
+        updateScreenArc();
+        flashButton(btn);
+      });
+    });
+
+    // Rotate buttons (180/360 projections)
+    document.querySelectorAll('[data-rotate]').forEach((btn) => {
+      onTap(btn, () => {
+        const t = transform();
+        switch (btn.dataset.rotate) {
+          case 'left':  t.yaw = (t.yaw + ROTATE_STEP) % 360; break;
+          case 'right': t.yaw = (t.yaw - ROTATE_STEP) % 360; break;
+          case 'up':    t.pitch = Math.min(90, t.pitch + ROTATE_STEP); break;
+          case 'down':  t.pitch = Math.max(-90, t.pitch - ROTATE_STEP); break;
+          case 'reset': t.yaw = 0; t.pitch = 0; break;
         }
         flashButton(btn);
       });
     });
 
+    // Projection (XR)
+    onTap(elements.xrProjectionToggle, () => {
+      const names = Object.keys(PROJECTION_LABELS);
+      setProjection(names[(names.indexOf(projection) + 1) % names.length]);
+      flashButton(elements.xrProjectionToggle);
+    });
+
     // Resize
     onTap(elements.xrSmaller, () => {
-      screenScale = Math.max(0.2, screenScale - SCALE_STEP);
+      transform().scale = Math.max(0.2, transform().scale - SCALE_STEP);
       updateSizeLabel();
+      updateScreenArc();
       flashButton(elements.xrSmaller);
     });
 
     onTap(elements.xrBigger, () => {
-      screenScale = Math.min(5, screenScale + SCALE_STEP);
+      transform().scale = Math.min(5, transform().scale + SCALE_STEP);
       updateSizeLabel();
+      updateScreenArc();
       flashButton(elements.xrBigger);
     });
 
@@ -180,36 +479,186 @@ const UIController = (() => {
 
     // Color toggle (XR)
     onTap(elements.xrColorToggle, () => {
-      const colors = ['green', 'blue', 'black'];
+      const colors = ['green', 'blue', 'black', 'white'];
+      if (customColor) colors.push('custom');
       const idx = (colors.indexOf(currentColor) + 1) % colors.length;
       setActiveColor(colors[idx]);
-      elements.xrColorToggle.textContent = colors[idx].charAt(0).toUpperCase() + colors[idx].slice(1);
       flashButton(elements.xrColorToggle);
     });
 
     // Tolerance (XR) — sliders use input event, works fine
-    elements.xrToleranceSlider.addEventListener('input', (e) => {
-      tolerance = parseFloat(e.target.value);
-      elements.xrToleranceValue.textContent = tolerance.toFixed(2);
-      elements.toleranceSlider.value = tolerance;
-      elements.toleranceValue.textContent = tolerance.toFixed(2);
-      ChromaKey.setTolerance(tolerance);
-    });
+    elements.xrToleranceSlider.addEventListener('input', (e) => setTolerance(e.target.value));
     // Also listen for pointerdown on the slider track to make it responsive
     elements.xrToleranceSlider.addEventListener('pointerdown', () => {});
     elements.xrToleranceSlider.addEventListener('touchstart', () => {}, { passive: true });
 
+    // Curvature (XR)
+    elements.xrCurvatureSlider.addEventListener('input', (e) => setCurvature(e.target.value));
+
+    // Despill (XR)
+    elements.xrSpillSlider.addEventListener('input', (e) => setSpill(e.target.value));
+
+    // Screens (XR)
+    onTap(elements.xrPrevScreen, () => {
+      ScreenManager.cycle(-1);
+      flashButton(elements.xrPrevScreen);
+    });
+    onTap(elements.xrNextScreen, () => {
+      ScreenManager.cycle(1);
+      flashButton(elements.xrNextScreen);
+    });
+    onTap(elements.xrAddScreen, () => {
+      addScreen();
+      flashButton(elements.xrAddScreen);
+    });
+    onTap(elements.xrRemoveScreen, () => {
+      removeScreen();
+      flashButton(elements.xrRemoveScreen);
+    });
+
+    onTap(elements.xrStatsToggle, () => {
+      setStatsVisible(!Stats.isEnabled());
+      flashButton(elements.xrStatsToggle);
+    });
+
     // Quit (XR)
     onTap(elements.xrExitBtn, () => {
       if (typeof App !== 'undefined' && App.endXR) App.endXR();
     });
   }
 
+  function bindModelParam(slider, label, model, param) {
+    slider.addEventListener('input', (e) => {
+      const val = parseFloat(e.target.value);
+      label.textContent = val.toFixed(2);
+      ChromaKey.setModelParam(model, param, val);
+    });
+  }
+
+  /** Switch keying model and show only that model's parameter sliders */
+  function setKeyModel(model) {
+    try {
+      ChromaKey.setKeyModel(model);
+    } catch (err) {
+      setStatus(err.message, 'error');
+    }
+    const active = ChromaKey.getKeyModel();
+    elements.keyModelSelect.value = active;
+    document.querySelectorAll('.model-param').forEach((el) => {
+      el.style.display = el.dataset.model === active ? '' : 'none';
+    });
+  }
+
+  /** Update tolerance and keep the 2D and XR sliders in sync */
+  function setTolerance(val) {
+    tolerance = parseFloat(val);
+    elements.toleranceSlider.value = tolerance;
+    elements.toleranceValue.textContent = tolerance.toFixed(2);
+    elements.xrToleranceSlider.value = tolerance;
+    elements.xrToleranceValue.textContent = tolerance.toFixed(2);
+    ChromaKey.setTolerance(tolerance);
+  }
+
+  function setSmoothing(val) {
+    smoothing = parseFloat(val);
+    elements.smoothingSlider.value = smoothing;
+    elements.smoothingValue.textContent = smoothing.toFixed(2);
+    ChromaKey.setSmoothing(smoothing);
+  }
+
+  /** Update a color grading value and every slider bound to it */
+  function setGrade(key, val) {
+    val = parseFloat(val);
+    ChromaKey[GRADE_SETTERS[key]](val);
+    document.querySelectorAll('[data-grade="' + key + '"]').forEach((el) => { el.value = val; });
+    document.querySelectorAll('[data-grade-value="' + key + '"]').forEach((el) => {
+      el.textContent = val.toFixed(2);
+    });
+  }
+
+  /** Update despill strength and keep the 2D and XR sliders in sync */
+  function setSpill(val) {
+    spill = parseFloat(val);
+    elements.spillSlider.value = spill;
+    elements.spillValue.textContent = spill.toFixed(2);
+    elements.xrSpillSlider.value = spill;
+    elements.xrSpillValue.textContent = spill.toFixed(2);
+    ChromaKey.setSpillStrength(spill);
+  }
+
+  function updateStereoLayout() {
+    ChromaKey.setStereoLayout(elements.stereoSelect.value, elements.swapEyesCheck.checked);
+    updateScreenArc();
+  }
+
+  /**
+   * Alpha-packed sources bring their own matte, so the key controls are
+   * disabled while one is selected.
+   */
+  function updatePackedAlpha() {
+    const layout = elements.packedSelect.value;
+    const packed = layout !== 'off';
+    ChromaKey.setPackedAlpha(packed ? layout : null, elements.alphaHalfSelect.value === 'first');
+    elements.alphaHalfSelect.disabled = !packed;
+    updateScreenArc(); // the color half has a different aspect
+
+    if (packed && canvasTool === 'eyedropper') setCanvasTool(null);
+    elements.keySection.classList.toggle('disabled', packed);
+    elements.keySection.querySelectorAll('button, input, select').forEach((el) => {
+      el.disabled = packed;
+    });
+    elements.calibrateBtn.disabled = packed || !VideoPlayer.getReady();
+    elements.xrColorToggle.disabled = packed;
+    elements.xrToleranceSlider.disabled = packed;
+    elements.xrSpillSlider.disabled = packed;
+  }
+
+  /**
+   * Switch screen projection. Move/resize controls only apply to flat and
+   * curved screens; sphere projections surround the viewer and get rotate
+   * controls.
+   */
+  function setProjection(name) {
+    ChromaKey.setProjection(name);
+    projection = ChromaKey.getProjection();
+    elements.projectionSelect.value = projection;
+    elements.xrProjectionToggle.textContent = PROJECTION_LABELS[projection];
+    const sphere = ChromaKey.PROJECTIONS[projection].lonSpan > 0;
+    elements.xrFlatControls.style.display = sphere ? 'none' : '';
+    elements.xrSphereControls.style.display = sphere ? '' : 'none';
+    document.querySelectorAll('.curvature-param').forEach((el) => {
+      el.style.display = projection === 'curved' ? '' : 'none';
+    });
+  }
+
+  /** Update curvature and keep the 2D and XR sliders in sync */
+  function setCurvature(val) {
+    const curvature = parseFloat(val);
+    transform().curvature = curvature;
+    elements.curvatureSlider.value = curvature;
+    elements.curvatureValue.textContent = curvature.toFixed(2);
+    elements.xrCurvatureSlider.value = curvature;
+    elements.xrCurvatureValue.textContent = curvature.toFixed(2);
+    updateScreenArc();
+  }
+
+  /** Bend a screen's curved arc (halfWidth / radius, radius = distance / curvature) */
+  function updateScreenArc(screen) {
+    screen = screen || ScreenManager.getActive();
+    const t = screen.transform;
+    ChromaKey.withKeyer(screen.keyer, () => {
+      const halfWidth = t.scale * ChromaKey.getAspect(screen.player.getVideo()) * 0.5;
+      ChromaKey.setScreenArc(halfWidth * t.curvature / t.distance);
+    });
+  }
+
   /** Restart video from the beginning */
   function doRestart() {
-    var video = VideoPlayer.getVideo();
+    var screen = ScreenManager.getActive();
+    var video = screen.player.getVideo();
     if (!video) return;
     video.currentTime = 0;
+    ChromaKey.withKeyer(screen.keyer, ChromaKey.resetTemporal);
     // Use a direct play call with user gesture context
     var playPromise = video.play();
     if (playPromise) {
@@ -223,6 +672,325 @@ const UIController = (() => {
     }
   }
 
+  // ---- Preview view ----
+
+  function setViewMode(mode) {
+    ChromaKey.setViewMode(mode);
+    elements.splitHandle.classList.toggle('visible', mode === 'split');
+    elements.splitHandle.style.left = (ChromaKey.getSplitPosition() * 100) + '%';
+  }
+
+  /** Drag the split-view divider across the preview */
+  function bindSplitHandle() {
+    const handle = elements.splitHandle;
+    let dragging = false;
+
+    function move(e) {
+      const rect = elements.previewContainer.getBoundingClientRect();
+      const u = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+      ChromaKey.setSplitPosition(u);
+      handle.style.left = (u * 100) + '%';
+    }
+
+    handle.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      dragging = true;
+      handle.setPointerCapture(e.pointerId);
+    });
+    handle.addEventListener('pointermove', (e) => {
+      if (dragging) move(e);
+    });
+    handle.addEventListener('pointerup', () => { dragging = false; });
+    handle.addEventListener('pointercancel', () => { dragging = false; });
+  }
+
+  /**
+   * Show transparent preview areas against a checkerboard, a solid color or
+   * a user image. Only the page behind the canvas changes; the keyed output
+   * keeps its alpha.
+   */
+  function setBackdrop(kind) {
+    if (kind === 'image' && !backdropUrl) {
+      elements.backdropSelect.value = 'checkerboard';
+      elements.backdropFile.click();
+      kind = 'checkerboard';
+    }
+    const style = elements.previewContainer.style;
+    elements.backdropSelect.value = kind;
+    elements.backdropColor.style.display = kind === 'solid' ? '' : 'none';
+    if (kind === 'solid') {
+      style.background = elements.backdropColor.value;
+    } else if (kind === 'image') {
+      style.background = 'url("' + backdropUrl + '") center / cover no-repeat';
+    } else {
+      style.background = '';
+    }
+  }
+
+  // ---- Stats HUD ----
+
+  /** Show or hide the stats HUD in both the preview and the XR overlay */
+  function setStatsVisible(visible) {
+    Stats.setEnabled(visible);
+    elements.statsCheck.checked = visible;
+    elements.xrStatsToggle.textContent = visible ? 'Hide Stats' : 'Show Stats';
+    [elements.previewStats, elements.xrStats].forEach((hud) => {
+      hud.style.display = visible ? '' : 'none';
+      hud.textContent = 'Collecting...';
+    });
+  }
+
+  function renderStats(s) {
+    const size = (r) => r.width ? r.width + '\u00d7' + r.height : '-';
+    const text = [
+      'Render ' + s.renderFps.toFixed(0) + ' fps   GPU ' +
+        (s.gpuMs === null ? 'n/a' : s.gpuMs.toFixed(1) + ' ms'),
+      'Video  ' + s.videoFps.toFixed(0) + ' fps   dropped ' + s.droppedFrames,
+      'Upload ' + s.uploadMs.toFixed(2) + ' ms',
+      'Source ' + size(s.video) + '  matte ' + size(s.matte),
+      'Output ' + size(s.output) + (s.webgl2 ? '  WebGL2' : '  WebGL1')
+    ].join('\n');
+    elements.previewStats.textContent = text;
+    elements.xrStats.textContent = text;
+  }
+
+  // ---- Preview canvas tools ----
+
+  /**
+   * Activate a pointer tool on the preview canvas: 'eyedropper', 'mask' or
+   * null. Leaving the mask tool commits the polygon being drawn.
+   */
+  function setCanvasTool(tool) {
+    if (canvasTool === 'mask' && tool !== 'mask') commitDraftMask();
+    canvasTool = tool;
+    elements.eyedropperBtn.classList.toggle('active', tool === 'eyedropper');
+    elements.pickHint.classList.toggle('visible', tool === 'eyedropper');
+    elements.drawMaskBtn.classList.toggle('active', tool === 'mask');
+    elements.drawMaskBtn.textContent = tool === 'mask' ? 'Finish Mask' : 'Draw Mask';
+    elements.previewCanvas.classList.toggle('picking', tool !== null);
+    elements.pickRect.style.display = 'none';
+    drawMatteOverlay();
+  }
+
+  /**
+   * Pointer handling for the canvas tools. The preview quad fills the
+   * canvas, so canvas position maps straight to texture coordinates.
+   *   eyedropper: click or drag a region to sample the key color
+   *   mask:       click to add polygon points; click the first point to close
+   */
+  function bindCanvasTools() {
+    const canvas = elements.previewCanvas;
+    let start = null;
+
+    function toUV(e) {
+      const rect = canvas.getBoundingClientRect();
+      return {
+        u: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+        v: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+      };
+    }
+
+    function showRect(a, b) {
+      const r = elements.pickRect.style;
+      r.display = 'block';
+      r.left = (Math.min(a.u, b.u) * 100) + '%';
+      r.top = (Math.min(a.v, b.v) * 100) + '%';
+      r.width = (Math.abs(b.u - a.u) * 100) + '%';
+      r.height = (Math.abs(b.v - a.v) * 100) + '%';
+    }
+
+    canvas.addEventListener('pointerdown', (e) => {
+      if (!canvasTool) return;
+      e.preventDefault();
+      if (canvasTool === 'mask') {
+        addMaskPoint(toUV(e));
+        return;
+      }
+      start = toUV(e);
+      canvas.setPointerCapture(e.pointerId);
+      showRect(start, start);
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+      if (start) showRect(start, toUV(e));
+    });
+
+    canvas.addEventListener('pointerup', (e) => {
+      if (!start) return;
+      const end = toUV(e);
+      const a = start;
+      start = null;
+      pickColor(a.u, a.v, end.u, end.v);
+    });
+
+    canvas.addEventListener('pointercancel', () => {
+      start = null;
+      elements.pickRect.style.display = 'none';
+    });
+  }
+
+  // ---- Garbage matte ----
+
+  function addMaskPoint(p) {
+    const first = draftMask[0];
+    if (draftMask.length >= 3 && Math.hypot(p.u - first[0], p.v - first[1]) < 0.03) {
+      setCanvasTool(null);
+      return;
+    }
+    draftMask.push([p.u, p.v]);
+    drawMatteOverlay();
+  }
+
+  function commitDraftMask() {
+    if (draftMask.length >= 3) {
+      ChromaKey.addMask(draftMask, elements.maskModeSelect.value);
+      setStatus('Mask added (' + draftMask.length + ' points).', 'success');
+    }
+    draftMask = [];
+  }
+
+  function setCropEdge(edge, val) {
+    const crop = {};
+    crop[edge] = parseFloat(val);
+    ChromaKey.setCrop(crop);
+    elements.cropValues[edge].textContent = Math.round(crop[edge] * 100) + '%';
+  }
+
+  /** Outline the masks and the polygon in progress while the mask tool is on */
+  function drawMatteOverlay() {
+    const svg = elements.matteOverlay;
+    const visible = canvasTool === 'mask';
+    svg.style.display = visible ? 'block' : 'none';
+    if (!visible) return;
+
+    const pts = (points) => points.map((p) => p[0] + ',' + p[1]).join(' ');
+    let html = '';
+    ChromaKey.getMasks().forEach((m) => {
+      html += '<polygon class="' + m.mode + '" points="' + pts(m.points) + '"/>';
+    });
+    if (draftMask.length) {
+      html += '<polyline class="draft" points="' + pts(draftMask) + '"/>';
+    }
+    svg.innerHTML = html;
+  }
+
+  function pickColor(u0, v0, u1, v1) {
+    const video = VideoPlayer.getVideo();
+    setCanvasTool(null);
+    if (!video || !VideoPlayer.getReady()) {
+      setStatus('Load a video before picking a color.', 'error');
+      return;
+    }
+    try {
+      const a = ChromaKey.previewToTexture(u0, v0);
+      const b = ChromaKey.previewToTexture(u1, v1);
+      setCustomColor(ChromaKey.sampleColor(video, a[0], a[1], b[0], b[1]));
+    } catch (err) {
+      setStatus(err.message, 'error');
+      return;
+    }
+    setStatus('Key color set to ' + colorToHex(customColor) + '.', 'success');
+  }
+
+  /** Use an arbitrary [r, g, b] (0–1) as the active key color */
+  function setCustomColor(rgb) {
+    customColor = rgb.slice(0, 3);
+    setActiveColor('custom');
+  }
+
+  /** Analyze the loaded video and apply the detected key settings */
+  async function handleAutoCalibrate() {
+    const video = VideoPlayer.getVideo();
+    if (!video || !VideoPlayer.getReady()) {
+      setStatus('Load a video before calibrating.', 'error');
+      return;
+    }
+
+    setStatus('Analyzing frames...', '');
+    elements.calibrateBtn.disabled = true;
+    try {
+      // Fit to the model the custom color will be keyed with: leaving a
+      // luma preset returns to the chroma model
+      const result = await AutoCalibrate.run(video, ChromaKey.getChromaModel());
+      const pct = Math.round(result.confidence * 100) + '%';
+      if (!result.confident) {
+        setStatus('No clear backdrop found (confidence ' + pct + '). Settings unchanged.', 'error');
+        return;
+      }
+      setCustomColor(result.keyColor);
+      setTolerance(result.tolerance);
+      setSmoothing(result.smoothing);
+      setStatus('Calibrated to ' + colorToHex(result.keyColor) + ' (confidence ' + pct + ').', 'success');
+    } catch (err) {
+      setStatus(err.message, 'error');
+    } finally {
+      // A load or packed-mode switch during the run may have left nothing to calibrate
+      elements.calibrateBtn.disabled = !!ChromaKey.getPackedAlpha() || !VideoPlayer.getReady();
+    }
+  }
+
+  // ---- Export ----
+
+  /** Save the current keyed frame as a PNG with transparency */
+  async function takeSnapshot() {
+    try {
+      const blob = await Exporter.snapshot();
+      Exporter.download(blob, Exporter.fileName('png'));
+      setStatus('Snapshot saved.', 'success');
+    } catch (err) {
+      setStatus('Snapshot failed: ' + err.message, 'error');
+    }
+  }
+
+  /** Start recording the keyed preview, or stop and save the WebM */
+  async function toggleRecording() {
+    if (Exporter.isRecording()) {
+      Exporter.stopRecording();
+      return;
+    }
+    const done = Exporter.startRecording({ audio: elements.recordAudioCheck.checked });
+    updateRecordButton();
+    if (Exporter.isRecording()) setStatus('Recording... press Stop to save.', '');
+    try {
+      const blob = await done;
+      Exporter.download(blob, Exporter.fileName('webm'));
+      setStatus('Recording saved (' + (blob.size / 1048576).toFixed(1) + ' MB).', 'success');
+    } catch (err) {
+      setStatus('Recording failed: ' + err.message, 'error');
+    } finally {
+      updateRecordButton();
+    }
+  }
+
+  function updateRecordButton() {
+    const recording = Exporter.isRecording();
+    elements.recordBtn.textContent = recording ? 'Stop' : 'Record';
+    elements.recordBtn.classList.toggle('recording', recording);
+    elements.recordAudioCheck.disabled = recording;
+  }
+
+  function colorToHex(rgb) {
+    return '#' + rgb.map(function(c) {
+      return ('0' + Math.round(c * 255).toString(16)).slice(-2);
+    }).join('');
+  }
+
+  /** Show the custom color as a swatch on the 2D button and the XR toggle */
+  function updateColorLabels() {
+    const label = currentColor.charAt(0).toUpperCase() + currentColor.slice(1);
+    elements.xrColorToggle.textContent = label;
+    elements.xrColorToggle.style.borderColor = currentColor === 'custom' ? colorToHex(customColor) : '';
+
+    if (customColor) {
+      const hex = colorToHex(customColor);
+      const luma = 0.299 * customColor[0] + 0.587 * customColor[1] + 0.114 * customColor[2];
+      elements.customColorBtn.style.display = '';
+      elements.customColorBtn.style.background = hex;
+      elements.customColorBtn.style.color = luma > 0.6 ? '#111' : '#fff';
+      elements.customColorBtn.textContent = hex;
+    }
+  }
+
   /** Brief flash on a button to confirm the tap registered */
   function flashButton(btn) {
     if (!btn) return;
@@ -235,14 +1003,15 @@ const UIController = (() => {
   }
 
   function updateSizeLabel() {
+    const scale = transform().scale;
     if (elements.xrSizeLabel) {
-      elements.xrSizeLabel.textContent = screenScale.toFixed(1) + 'x';
+      elements.xrSizeLabel.textContent = scale.toFixed(1) + 'x';
     }
     if (elements.scaleSlider) {
-      elements.scaleSlider.value = screenScale;
+      elements.scaleSlider.value = scale;
     }
     if (elements.scaleValue) {
-      elements.scaleValue.textContent = screenScale.toFixed(1) + 'x';
+      elements.scaleValue.textContent = scale.toFixed(1) + 'x';
     }
   }
 
@@ -257,51 +1026,423 @@ const UIController = (() => {
   }
 
   /** Handle loading a video from the URL input */
-  async function handleLoadVideo() {
+  function handleLoadVideo() {
     const url = elements.videoUrl.value.trim();
     if (!url) {
       setStatus('Please enter a video URL.', 'error');
       return;
     }
+    return loadVideo(url);
+  }
+
+  /**
+   * Load a URL or local File into a screen (the active one by default).
+   * The screen is captured up front so switching screens mid-load doesn't
+   * redirect the result. Loading again cancels the screen's current load.
+   * Status and errors are shown by the VideoPlayer event handlers.
+   * @param {string|File} source
+   * @param {object} [screen]
+   */
+  async function loadVideo(source, screen) {
+    screen = screen || ScreenManager.getActive();
+    try {
+      if (typeof source === 'string') {
+        await screen.player.load(source);
+      } else {
+        await screen.player.loadFile(source);
+      }
+      ChromaKey.withKeyer(screen.keyer, ChromaKey.resetTemporal);
+      updateScreenArc(screen); // the video's aspect ratio is known now
+      await screen.player.play();
+    } catch (err) {
+      // Reported by onVideoError; an aborted load was replaced by a newer one
+    } finally {
+      updateScreenList();
+      syncPlaybackControls();
+    }
+  }
+
+  // Worth retrying as is; a decode error needs a different source
+  const RETRYABLE_ERRORS = [
+    VideoPlayer.ERROR_CODES.NETWORK,
+    VideoPlayer.ERROR_CODES.CORS,
+    VideoPlayer.ERROR_CODES.TIMEOUT,
+    VideoPlayer.ERROR_CODES.PROXY_FAILED
+  ];
+
+  let retryPlayer = null; // player whose failed load the retry button repeats
+
+  /** "Screen 2: " when there are several screens, so statuses say whose load it is */
+  function screenPrefix(player) {
+    const screens = ScreenManager.getScreens();
+    if (screens.length < 2) return '';
+    const screen = screens.find((s) => s.player === player);
+    return screen ? 'Screen ' + ScreenManager.getNumber(screen) + ': ' : '';
+  }
+
+  function onVideoReady(e) {
+    const msg = e.source instanceof File ? describeFile(e.source, e.player.getVideo()) : 'Video loaded!';
+    setStatus(screenPrefix(e.player) + msg, 'success');
+  }
+
+  function onVideoError(e) {
+    setStatus(screenPrefix(e.player) + e.error.message, 'error');
+    if (RETRYABLE_ERRORS.indexOf(e.error.code) !== -1) {
+      retryPlayer = e.player;
+      elements.retryBtn.style.display = '';
+    }
+  }
+
+  /** Load the failed source again into the same screen */
+  function retryLoad() {
+    const screen = ScreenManager.getScreens().find((s) => s.player === retryPlayer);
+    const source = screen && screen.player.getSource();
+    if (source) loadVideo(source, screen);
+  }
+
+  /** Load video files dropped onto the preview */
+  function bindFileDrop() {
+    const container = elements.previewContainer;
+    const hasFiles = (e) => Array.prototype.indexOf.call(e.dataTransfer.types, 'Files') !== -1;
+
+    ['dragenter', 'dragover'].forEach((type) => {
+      container.addEventListener(type, (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        container.classList.add('drag-over');
+      });
+    });
+    container.addEventListener('dragleave', (e) => {
+      if (!container.contains(e.relatedTarget)) container.classList.remove('drag-over');
+    });
+    container.addEventListener('drop', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      container.classList.remove('drag-over');
+      const files = Array.prototype.slice.call(e.dataTransfer.files);
+      const file = files.find((f) => f.type.indexOf('video/') === 0) || files[0];
+      if (file) loadVideo(file);
+    });
+  }
+
+  /** Status line for a loaded file: name, size and duration */
+  function describeFile(file, video) {
+    const parts = [formatBytes(file.size)];
+    if (video && isFinite(video.duration)) parts.push(formatDuration(video.duration));
+    return file.name + ' (' + parts.join(', ') + ')';
+  }
+
+  function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return Math.max(1, Math.round(bytes / 1024)) + ' KB';
+    if (bytes < 1024 * 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    return (bytes / (1024 * 1024 * 1024)).toFixed(2) + ' GB';
+  }
+
+  /** 75.4 -> "1:15", 3725 -> "1:02:05" */
+  function formatDuration(seconds) {
+    const s = Math.floor(seconds % 60);
+    const m = Math.floor(seconds / 60) % 60;
+    const h = Math.floor(seconds / 3600);
+    const pad = (n) => (n < 10 ? '0' : '') + n;
+    return h ? h + ':' + pad(m) + ':' + pad(s) : m + ':' + pad(s);
+  }
+
+  // ---- CORS proxies ----
+
+  /** Rebuild the proxy list: URL, last health check, reorder and remove */
+  function renderProxyList() {
+    const proxies = VideoPlayer.getProxies();
+    elements.proxyList.innerHTML = '';
+    if (!proxies.length) {
+      const empty = document.createElement('li');
+      empty.className = 'proxy-item proxy-health';
+      empty.textContent = 'No proxies: only servers that send CORS headers will work.';
+      elements.proxyList.appendChild(empty);
+    }
+    proxies.forEach((proxy, i) => {
+      const item = document.createElement('li');
+      item.className = 'proxy-item';
+
+      const url = document.createElement('span');
+      url.className = 'proxy-url';
+      url.textContent = proxy;
+      url.title = proxy;
+      item.appendChild(url);
 
-    setStatus('Loading video...', '');
-    elements.loadBtn.disabled = true;
+      const health = proxyHealth[proxy];
+      const status = document.createElement('span');
+      status.className = 'proxy-health' + (health ? (health.ok ? ' ok' : ' fail') : '');
+      status.textContent = health ? health.message + ' \u00b7 ' + health.ms + ' ms' : '';
+      item.appendChild(status);
 
+      [
+        { label: '\u25b2', title: 'Try earlier', disabled: i === 0, action: () => moveProxy(i, -1) },
+        { label: '\u25bc', title: 'Try later', disabled: i === proxies.length - 1, action: () => moveProxy(i, 1) },
+        { label: '\u2715', title: 'Remove', disabled: false, action: () => removeProxy(i) }
+      ].forEach((b) => {
+        const btn = document.createElement('button');
+        btn.className = 'btn';
+        btn.textContent = b.label;
+        btn.title = b.title;
+        btn.disabled = b.disabled;
+        onTap(btn, b.action);
+        item.appendChild(btn);
+      });
+
+      elements.proxyList.appendChild(item);
+    });
+  }
+
+  function saveProxies(list) {
     try {
-      await VideoPlayer.load(url, function(msg) { setStatus(msg, ''); });
-      setStatus('Video loaded!', 'success');
-      elements.previewMsg.style.display = 'none';
-      elements.videoControls.style.display = 'flex';
-      elements.enterMrBtn.disabled = false;
-      VideoPlayer.play();
-      elements.playPauseBtn.textContent = 'Pause';
+      VideoPlayer.setProxies(list);
     } catch (err) {
       setStatus(err.message, 'error');
-      elements.enterMrBtn.disabled = true;
+      return false;
+    }
+    renderProxyList();
+    return true;
+  }
+
+  function addProxy() {
+    const proxy = elements.proxyUrl.value.trim();
+    if (!proxy) {
+      setStatus('Enter a proxy URL, e.g. http://host:8787/?url=', 'error');
+      return;
+    }
+    if (saveProxies(VideoPlayer.getProxies().concat(proxy))) {
+      elements.proxyUrl.value = '';
+      setStatus('Proxy added.', 'success');
+    }
+  }
+
+  function moveProxy(index, step) {
+    const proxies = VideoPlayer.getProxies();
+    const moved = proxies.splice(index, 1)[0];
+    proxies.splice(index + step, 0, moved);
+    saveProxies(proxies);
+  }
+
+  function removeProxy(index) {
+    const proxies = VideoPlayer.getProxies();
+    proxies.splice(index, 1);
+    saveProxies(proxies);
+  }
+
+  /**
+   * Health-check every proxy against the active video's URL (which a LAN
+   * proxy can reach) or, with nothing loaded, the app's own manifest.
+   */
+  async function checkProxies() {
+    const source = VideoPlayer.getSource();
+    const testUrl = typeof source === 'string' && /^https?:/.test(source) ? source : undefined;
+    const proxies = VideoPlayer.getProxies();
+    if (!proxies.length) return;
+
+    setStatus('Checking proxies...', '');
+    elements.checkProxiesBtn.disabled = true;
+    try {
+      const results = await Promise.all(proxies.map((proxy) => VideoPlayer.checkProxy(proxy, testUrl)));
+      proxies.forEach((proxy, i) => { proxyHealth[proxy] = results[i]; });
+      const working = results.filter((r) => r.ok).length;
+      setStatus(working + ' of ' + proxies.length + ' proxies working.', working ? 'success' : 'error');
     } finally {
-      elements.loadBtn.disabled = false;
+      elements.checkProxiesBtn.disabled = false;
+      renderProxyList();
+    }
+  }
+
+  // ---- Screens ----
+
+  /** Add a screen showing the active screen's video, with its key settings */
+  function addScreen() {
+    const source = VideoPlayer.getSource();
+    if (!ScreenManager.add()) {
+      setStatus('At most ' + ScreenManager.MAX_SCREENS + ' screens.', 'error');
+      return;
+    }
+    if (source) {
+      loadVideo(source);
+    } else {
+      setStatus('Screen ' + ScreenManager.getNumber() + ' added. Load a video into it.', 'success');
     }
   }
 
+  function removeScreen() {
+    if (!ScreenManager.remove()) {
+      setStatus('The last screen can\'t be removed.', 'error');
+    }
+  }
+
+  /** Refresh the screen pickers (2D select, XR label) */
+  function updateScreenList() {
+    const screens = ScreenManager.getScreens();
+    const active = ScreenManager.getActive();
+    elements.screenSelect.innerHTML = '';
+    screens.forEach((screen, i) => {
+      const src = screen.player.getSource();
+      let name = 'empty';
+      if (src instanceof File) {
+        name = src.name;
+      } else if (src) {
+        name = decodeURIComponent(src.split(/[?#]/)[0].split('/').pop()) || src;
+      }
+      const option = document.createElement('option');
+      option.value = i;
+      option.textContent = 'Screen ' + (i + 1) + ' \u2014 ' + name;
+      elements.screenSelect.appendChild(option);
+    });
+    elements.screenSelect.value = screens.indexOf(active);
+    elements.xrScreenLabel.textContent = ScreenManager.getNumber() + ' / ' + screens.length;
+
+    const full = screens.length >= ScreenManager.MAX_SCREENS;
+    elements.addScreenBtn.disabled = elements.xrAddScreen.disabled = full;
+    elements.removeScreenBtn.disabled = elements.xrRemoveScreen.disabled = screens.length === 1;
+  }
+
+  /** Preview message, playback buttons and MR entry for the active screen */
+  function syncPlaybackControls() {
+    const ready = VideoPlayer.getReady();
+    elements.previewMsg.style.display = ready ? 'none' : '';
+    elements.videoControls.style.display = ready ? 'flex' : 'none';
+    elements.calibrateBtn.disabled = !ready || !!ChromaKey.getPackedAlpha();
+    elements.enterMrBtn.disabled = !ScreenManager.getScreens().some((s) => s.player.getReady());
+    const label = VideoPlayer.isPlaying() ? 'Pause' : 'Play';
+    elements.playPauseBtn.textContent = label;
+    elements.xrPlayPause.textContent = label;
+    updateQualityList();
+  }
+
+  /** Offer the active stream's renditions; hidden for plain files */
+  function updateQualityList() {
+    const qualities = VideoPlayer.getQualities();
+    elements.qualityRow.style.display = qualities.length > 1 ? '' : 'none';
+    elements.qualitySelect.innerHTML = '';
+    [{ index: -1 }].concat(qualities).forEach((q) => {
+      const option = document.createElement('option');
+      option.value = q.index;
+      if (q.index < 0) {
+        option.textContent = 'Auto';
+      } else {
+        const kbps = Math.round(q.bitrate / 1000) + ' kbps';
+        option.textContent = q.height ? q.height + 'p (' + kbps + ')' : kbps;
+      }
+      elements.qualitySelect.appendChild(option);
+    });
+    elements.qualitySelect.value = VideoPlayer.getQuality();
+  }
+
+  /** Point every control at the active screen's keyer and transform */
+  function syncScreenControls() {
+    setCanvasTool(null);
+    draftMask = [];
+
+    // Key color: a preset when the keyer's color matches one, else custom
+    const key = ChromaKey.getKeyColor();
+    const presets = ChromaKey.KEY_COLORS;
+    const preset = Object.keys(presets).find((name) => {
+      return presets[name].every((c, i) => Math.abs(c - key[i]) < 1e-3);
+    });
+    currentColor = preset || 'custom';
+    if (!preset) customColor = key;
+    document.querySelectorAll('.color-btn').forEach((btn) => {
+      btn.classList.toggle('active', btn.dataset.color === currentColor);
+    });
+    updateColorLabels();
+
+    // Keying model and its parameters
+    setKeyModel(ChromaKey.getKeyModel());
+    const paramSliders = {
+      ycbcr: { lumaWeight: [elements.lumaWeightSlider, elements.lumaWeightValue] },
+      hsv: {
+        satMin: [elements.satMinSlider, elements.satMinValue],
+        valMin: [elements.valMinSlider, elements.valMinValue]
+      },
+      luma: {}
+    };
+    Object.keys(elements.lumaSliders).forEach((param) => {
+      paramSliders.luma[param] = [elements.lumaSliders[param], elements.lumaValues[param]];
+    });
+    Object.keys(paramSliders).forEach((name) => {
+      const params = ChromaKey.getModelParams(name);
+      Object.keys(paramSliders[name]).forEach((param) => {
+        paramSliders[name][param][0].value = params[param];
+        paramSliders[name][param][1].textContent = params[param].toFixed(2);
+      });
+    });
+
+    setTolerance(ChromaKey.getTolerance());
+    setSmoothing(ChromaKey.getSmoothing());
+    setSpill(ChromaKey.getSpillStrength());
+    elements.spillMethodSelect.value = ChromaKey.getSpillMethod();
+
+    const grading = ChromaKey.getGrading();
+    Object.keys(GRADE_SETTERS).forEach((key) => setGrade(key, grading[key]));
+
+    // Matte refinement and garbage matte
+    elements.matteQualitySelect.value = ChromaKey.getMatteQuality();
+    const refinement = ChromaKey.getRefinement();
+    Object.keys(elements.refineSliders).forEach((step) => {
+      elements.refineSliders[step].value = refinement[step];
+      elements.refineValues[step].textContent = refinement[step] + 'px';
+    });
+    const temporal = ChromaKey.getTemporalStrength();
+    elements.temporalSlider.value = temporal;
+    elements.temporalValue.textContent = temporal.toFixed(2);
+    const crop = ChromaKey.getCrop();
+    Object.keys(elements.cropSliders).forEach((edge) => {
+      elements.cropSliders[edge].value = crop[edge];
+      elements.cropValues[edge].textContent = Math.round(crop[edge] * 100) + '%';
+    });
+
+    // Source layout and placement
+    const stereo = ChromaKey.getStereoLayout();
+    elements.stereoSelect.value = stereo.layout;
+    elements.swapEyesCheck.checked = stereo.swap;
+    const packed = ChromaKey.getPackedAlpha();
+    elements.packedSelect.value = packed ? packed.layout : 'off';
+    elements.alphaHalfSelect.value = packed && packed.alphaFirst ? 'first' : 'second';
+    updatePackedAlpha();
+    setProjection(ChromaKey.getProjection());
+    setCurvature(transform().curvature);
+    elements.distanceSlider.value = transform().distance;
+    elements.distanceValue.textContent = transform().distance.toFixed(1) + 'm';
+    updateSizeLabel();
+
+    updateScreenList();
+    syncPlaybackControls();
+  }
+
   function setActiveColor(color) {
+    if (color === 'custom' && !customColor) return;
     currentColor = color;
-    ChromaKey.setKeyColor(color);
+    ChromaKey.setKeyColor(color === 'custom' ? customColor : color);
     document.querySelectorAll('.color-btn').forEach((btn) => {
       btn.classList.toggle('active', btn.dataset.color === color);
     });
-    if (color === 'black' && tolerance > 0.2) {
-      tolerance = 0.15;
-      elements.toleranceSlider.value = tolerance;
-      elements.toleranceValue.textContent = tolerance.toFixed(2);
-      elements.xrToleranceSlider.value = tolerance;
-      elements.xrToleranceValue.textContent = tolerance.toFixed(2);
-      ChromaKey.setTolerance(tolerance);
+    updateColorLabels();
+
+    // Black and white backdrops switch to luma keying; chroma colors switch back
+    const preset = ChromaKey.LUMA_PRESETS[color];
+    if (preset) {
+      Object.keys(preset).forEach((param) => {
+        ChromaKey.setModelParam('luma', param, preset[param]);
+        elements.lumaSliders[param].value = preset[param];
+        elements.lumaValues[param].textContent = preset[param].toFixed(2);
+      });
+      setKeyModel('luma');
+    } else if (ChromaKey.getKeyModel() === 'luma') {
+      setKeyModel(ChromaKey.getChromaModel());
     }
   }
 
   function setStatus(msg, type) {
     elements.statusBar.textContent = msg;
     elements.statusBar.className = 'status-bar' + (type ? ' ' + type : '');
+    // Only offered while its error is the one showing
+    elements.retryBtn.style.display = 'none';
+    retryPlayer = null;
   }
 
   function showXROverlay(visible) {
@@ -309,20 +1450,17 @@ const UIController = (() => {
     document.getElementById('main-ui').style.display = visible ? 'none' : 'block';
   }
 
-  function getScreenDistance() { return screenDistance; }
-  function getScreenScale() { return screenScale; }
-  function getScreenOffsetX() { return screenOffsetX; }
-  function getScreenOffsetY() { return screenOffsetY; }
   function getCurrentColor() { return currentColor; }
+  function getCustomColor() { return customColor ? customColor.slice() : null; }
 
   return {
     init,
     setStatus,
     showXROverlay,
-    getScreenDistance,
-    getScreenScale,
-    getScreenOffsetX,
-    getScreenOffsetY,
-    getCurrentColor
+    getCurrentColor,
+    getCustomColor,
+    setCustomColor,
+    setTolerance,
+    setSmoothing
   };
 })();
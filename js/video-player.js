@@ -3,88 +3,297 @@
  * Handles CORS automatically:
  *   1. Try direct load with crossOrigin (fastest, works if server sends CORS headers)
  *   2. If blocked, fetch video through a CORS proxy as a blob URL
+ * Local files are played from an object URL and need no CORS handling.
+ * HLS (.m3u8) and DASH (.mpd) manifests play through Media Source Extensions
+ * with hls.js / dash.js (vendored in js/vendor), loaded on first use; their
+ * requests take the same direct-then-proxy route, and the MSE object URL
+ * keeps the texture usable.
+ * A new load cancels the one in progress; failures carry a code from
+ * ERROR_CODES, and every player's loads are reported through on().
  */
 const VideoPlayer = (() => {
 
-  let video = null;
-  let isReady = false;
-  let currentBlobUrl = null; // track blob URLs to revoke later
-
-  // CORS proxies to try in order (fallback chain)
-  const CORS_PROXIES = [
+  // CORS proxies to try in order (fallback chain). Each is a prefix the
+  // encoded video URL is appended to. The list is edited in the UI and
+  // persisted; tools/cors-proxy.js is a self-hostable one.
+  const DEFAULT_PROXIES = [
     'https://corsproxy.io/?url=',
     'https://api.allorigins.win/raw?url='
   ];
+  const PROXIES_KEY = 'mr-chromakey.proxies';
+  const HEALTH_TIMEOUT = 5000; // ms
 
-  /** Create the hidden <video> element */
-  function create() {
-    if (video) return video;
-    video = document.createElement('video');
-    video.playsInline = true;
-    video.loop = true;
-    video.muted = false;
-    video.preload = 'auto';
-    video.style.display = 'none';
-    document.body.appendChild(video);
-    return video;
-  }
+  // Memory budget for buffered video. Proxied files normally stream (the
+  // browser keeps only a window of the file); downloading one whole into a
+  // blob is the fallback for files up to this size. Also caps the MSE
+  // engines' forward buffer.
+  const MAX_BUFFER_BYTES = 64 * 1024 * 1024;
+  const BACK_BUFFER_SECONDS = 30; // played media MSE engines keep for seeking back
+
+  const LOAD_TIMEOUT = 10000;  // ms without progress until a load fails
+  const PROBE_TIMEOUT = 5000;  // ms for the HEAD request sniffing the content type
+
+  // URLs with these extensions are plain files; anything else is probed for
+  // a manifest content type before loading
+  const MEDIA_EXTENSIONS = /\.(mp4|m4v|webm|mov|ogv|mkv)($|[?#])/i;
+
+  // Adaptive streaming formats, see loadStream()
+  const STREAM_TYPES = {
+    hls: {
+      label: 'HLS',
+      extension: /\.m3u8($|[?#])/i,
+      contentType: /mpegurl/i,
+      library: 'js/vendor/hls.min.js',        // hls.js 1.5.15
+      isManifest: (text) => text.trimStart().indexOf('#EXTM3U') === 0,
+      attach: attachHls
+    },
+    dash: {
+      label: 'DASH',
+      extension: /\.mpd($|[?#])/i,
+      contentType: /dash\+xml/i,
+      library: 'js/vendor/dash.all.min.js',   // dashjs 4.7.4
+      isManifest: (text) => text.indexOf('<MPD') !== -1,
+      attach: attachDash
+    }
+  };
+
+  const libraries = {}; // script URL -> Promise, so each loads once
+
+  // Codes on the errors load() and loadFile() reject with
+  const ERROR_CODES = {
+    NETWORK: 'network',           // unreachable, dropped connection, HTTP error
+    CORS: 'cors',                 // reachable but not usable as a texture
+    DECODE: 'decode',             // format or codec the browser can't play
+    TIMEOUT: 'timeout',           // no progress for LOAD_TIMEOUT
+    PROXY_FAILED: 'proxy-failed', // no proxy route worked
+    ABORTED: 'aborted'            // replaced by a newer load
+  };
+
+  const loadListeners = { loadstart: [], progress: [], ready: [], error: [], abort: [] };
+
+  let corsProxies = loadProxies();
+
+  // One player per screen; the module functions act on the active one
+  let active = createPlayer();
 
   /**
-   * Load a video from URL.
-   * Tries direct CORS first, then falls back to proxy.
-   * @param {string} url
-   * @param {function} [onStatus] - optional status callback
-   * @returns {Promise<HTMLVideoElement>}
+   * Create an independent player with its own <video> element.
+   * @returns {object} Player with the same methods as the module
    */
-  async function load(url, onStatus) {
-    if (!video) create();
-    cleanup();
-    isReady = false;
+  function createPlayer() {
+    let video = null;
+    let isReady = false;
+    let currentBlobUrl = null; // track blob URLs to revoke later
+    let sourceUrl = null;      // URL passed to the last load()
+    let sourceFile = null;     // File passed to the last loadFile()
+    let stream = null;         // adaptive streaming engine, see loadStream()
+    let state = 'idle';        // 'idle' | 'loading' | 'ready' | 'error'
+    let lastError = null;      // typed error of the last failed load
+    let loadController = null; // aborts the load in progress
 
-    // Step 1: Try direct load with crossOrigin
-    if (onStatus) onStatus('Loading video...');
-    try {
-      await loadDirect(url, true);
+    /** Create the hidden <video> element */
+    function create() {
+      if (video) return video;
+      video = document.createElement('video');
+      video.playsInline = true;
+      video.loop = true;
+      video.muted = false;
+      video.preload = 'auto';
+      video.style.display = 'none';
+      document.body.appendChild(video);
       return video;
-    } catch (e) {
-      // Direct CORS failed
     }
 
-    // Step 2: Try direct load WITHOUT crossOrigin — video plays but
-    // we can't use it as WebGL texture. Skip this and go to proxy.
+    // ---- Loading ----
+    // Every load runs idle/ready/error -> loading -> ready | error. Starting
+    // a new one aborts the one in progress; each step takes the load's
+    // AbortSignal and checks it after every await, so a superseded load
+    // never touches the video element or reports a result.
+
+    /**
+     * Load a video from URL.
+     * Tries direct CORS first, then falls back to proxy.
+     * @param {string} url
+     * @param {function} [onStatus] - optional status callback (see also the 'progress' event)
+     * @returns {Promise<HTMLVideoElement>} Rejects with an error whose code is
+     *   one of ERROR_CODES ('aborted' when a newer load replaced this one)
+     */
+    function load(url, onStatus) {
+      return runLoad(url, onStatus, function(signal, status) {
+        return loadUrl(url, signal, status);
+      });
+    }
+
+    /**
+     * Load a local file (file picker or drag-and-drop) from an object URL.
+     * The URL is revoked by cleanup() when the source changes.
+     * @param {File} file
+     * @param {function} [onStatus] - optional status callback
+     * @returns {Promise<HTMLVideoElement>} Rejects like load()
+     */
+    function loadFile(file, onStatus) {
+      return runLoad(file, onStatus, function(signal, status) {
+        return openFile(file, signal, status);
+      });
+    }
+
+    /** Load the last URL or File again, e.g. after a network error */
+    function retry(onStatus) {
+      if (sourceFile) return loadFile(sourceFile, onStatus);
+      if (sourceUrl) return load(sourceUrl, onStatus);
+      return Promise.reject(loadError(ERROR_CODES.NETWORK, 'Nothing to retry.'));
+    }
+
+    /**
+     * Run one load: cancel the previous one, reset the element, then track
+     * steps(signal, status) and emit its events.
+     */
+    async function runLoad(source, onStatus, steps) {
+      if (loadController) loadController.abort();
+      const controller = new AbortController();
+      const signal = controller.signal;
+      loadController = controller;
+
+      if (!video) create();
+      cleanup();
+      isReady = false;
+      state = 'loading';
+      lastError = null;
+      sourceUrl = typeof source === 'string' ? source : null;
+      sourceFile = typeof source === 'string' ? null : source;
+      emit('loadstart', { player: player, source: source });
+
+      function status(message, fraction) {
+        if (signal.aborted) return;
+        if (onStatus) onStatus(message);
+        emit('progress', { player: player, source: source, message: message, fraction: fraction });
+      }
 
-    // Step 3: Try CORS proxies
-    for (var i = 0; i < CORS_PROXIES.length; i++) {
-      var proxy = CORS_PROXIES[i];
-      if (onStatus) onStatus('Bypassing CORS (proxy ' + (i + 1) + ')...');
       try {
-        var blobUrl = await fetchAsBlob(proxy + encodeURIComponent(url));
-        await loadDirect(blobUrl, true);
-        return video;
+        await steps(signal, status);
+        throwIfAborted(signal);
+      } catch (e) {
+        if (signal.aborted) {
+          // The newer load (or destroy) owns the state now
+          const aborted = abortError();
+          emit('abort', { player: player, source: source, error: aborted });
+          throw aborted;
+        }
+        const err = toLoadError(e);
+        loadController = null;
+        state = 'error';
+        lastError = err;
+        emit('error', { player: player, source: source, error: err });
+        throw err;
+      }
+
+      loadController = null;
+      isReady = true;
+      state = 'ready';
+      emit('ready', { player: player, source: source });
+      return video;
+    }
+
+    async function loadUrl(url, signal, status) {
+      // Adaptive streams are recognized by extension or content type
+      const streamType = streamTypeOf(url) || await probeStreamType(url, signal);
+      throwIfAborted(signal);
+      if (streamType) return loadStream(url, streamType, signal, status);
+
+      // Step 1: Try direct load with crossOrigin
+      status('Loading video...');
+      let directError;
+      try {
+        await loadDirect(url, true, signal);
+        return;
       } catch (e) {
-        // This proxy failed, try next
+        throwIfAborted(signal);
+        directError = e; // Direct CORS failed
       }
+
+      // Step 2: Loading WITHOUT crossOrigin would play, but the video
+      // couldn't be used as a WebGL texture. Go to the proxies instead.
+
+      // Step 3: Try CORS proxies. Stream through the proxy (it forwards
+      // Range requests, so playback starts early and seeking works); only
+      // small files may fall back to a full download into a blob.
+      const proxies = corsProxies.slice(); // edits mid-load apply to the next load
+      let proxyError = null;
+      for (let i = 0; i < proxies.length; i++) {
+        const proxy = proxies[i];
+        const label = 'Bypassing CORS (proxy ' + (i + 1) + ')';
+        status(label + '...');
+        try {
+          await loadDirect(proxyUrl(proxy, url), true, signal, function(fraction) {
+            status(label + ', ' + Math.round(fraction * 100) + '% buffered...', fraction);
+          });
+          return;
+        } catch (e) {
+          throwIfAborted(signal);
+          // Not streamable through this proxy; try downloading it
+        }
+        try {
+          const blobUrl = await fetchAsBlob(proxyUrl(proxy, url), signal, function(msg, fraction) {
+            status(label + ': ' + msg, fraction);
+          });
+          await loadDirect(blobUrl, true, signal);
+          return;
+        } catch (e) {
+          throwIfAborted(signal);
+          // The proxy revealed a manifest the URL didn't look like
+          if (e.streamType) return loadStream(url, e.streamType, signal, status);
+          proxyError = e; // This proxy failed, try next
+        }
+      }
+
+      // Step 4: Load without crossOrigin to tell why nothing worked. The
+      // result is never kept: a tainted video would make every texture
+      // upload throw.
+      status('Checking the video without CORS...');
+      try {
+        await loadDirect(url, false, signal);
+      } catch (e) {
+        throwIfAborted(signal);
+        // Unplayable even without CORS: the URL or the file itself is the problem
+        throw loadError(e.code || ERROR_CODES.NETWORK,
+          'Could not load video: ' + e.message + ' Check the URL and try a direct .mp4 link.');
+      }
+      video.removeAttribute('src');
+      video.load();
+
+      // It plays, so CORS was what stood in the way
+      if (proxyError) {
+        throw loadError(ERROR_CODES.PROXY_FAILED,
+          'The server blocks cross-origin use and no CORS proxy could load the video (' +
+          proxyError.message.replace(/\.$/, '') + '). Check the CORS Proxies list.');
+      }
+      if (directError.code === ERROR_CODES.TIMEOUT) throw directError;
+      throw loadError(ERROR_CODES.CORS,
+        'The server blocks cross-origin use, so the video can\'t be keyed. Add a CORS proxy.');
     }
 
-    // Step 4: Last resort — load without crossOrigin so at least it plays.
-    // WebGL texture reads will fail (tainted canvas) but user can still see the video.
-    if (onStatus) onStatus('Loading without CORS (preview only)...');
-    try {
-      await loadDirect(url, false);
-      return video;
-    } catch (e) {
-      throw new Error('Could not load video. Check the URL and try a direct .mp4 link.');
+    async function openFile(file, signal, status) {
+      status('Opening ' + file.name + '...');
+      const fileUrl = setBlobUrl(URL.createObjectURL(file));
+      try {
+        // Object URLs are same-origin, so the texture is never tainted
+        await loadDirect(fileUrl, false, signal);
+      } catch (e) {
+        throwIfAborted(signal);
+        throw loadError(e.code || ERROR_CODES.DECODE, 'Could not play ' + file.name + ': ' + e.message);
+      }
     }
-  }
 
-  /**
-   * Load a URL into the video element directly.
-   * @param {string} url
-   * @param {boolean} withCors - set crossOrigin='anonymous' or not
-   * @returns {Promise}
-   */
-  function loadDirect(url, withCors) {
-    return new Promise(function(resolve, reject) {
+    /**
+     * Load a URL into the video element directly.
+     * @param {string} url
+     * @param {boolean} withCors - set crossOrigin='anonymous' or not
+     * @param {AbortSignal} signal
+     * @param {function} [onProgress] - called with the buffered fraction (0–1)
+     * @returns {Promise}
+     */
+    function loadDirect(url, withCors, signal, onProgress) {
+      throwIfAborted(signal);
       // Set or remove crossOrigin BEFORE setting src
       if (withCors) {
         video.crossOrigin = 'anonymous';
@@ -92,127 +301,747 @@ const VideoPlayer = (() => {
         video.removeAttribute('crossOrigin');
       }
 
-      function onCanPlay() {
-        cleanup_listeners();
-        isReady = true;
-        resolve(video);
-      }
+      const ready = whenPlayable(signal, onProgress);
+      video.src = url;
+      video.load();
+      return ready;
+    }
+
+    /**
+     * Wait for whatever source was just given to the video element.
+     * Download progress restarts the timeout, so slow links don't fail.
+     * @param {AbortSignal} signal
+     * @param {function} [onProgress] - called with the buffered fraction (0–1)
+     * @returns {Promise<HTMLVideoElement>} Rejects with a typed error on
+     *   error, stall or abort
+     */
+    function whenPlayable(signal, onProgress) {
+      return new Promise(function(resolve, reject) {
+        if (signal.aborted) {
+          reject(abortError());
+          return;
+        }
+
+        function onCanPlay() {
+          cleanup_listeners();
+          resolve(video);
+        }
 
-      function onError() {
-        cleanup_listeners();
-        isReady = false;
-        var err = video.error;
-        var msg = 'Failed to load video.';
-        if (err) {
-          switch (err.code) {
-            case MediaError.MEDIA_ERR_ABORTED: msg = 'Video load aborted.'; break;
-            case MediaError.MEDIA_ERR_NETWORK: msg = 'Network error.'; break;
-            case MediaError.MEDIA_ERR_DECODE: msg = 'Format not supported.'; break;
-            case MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED: msg = 'URL not supported or CORS blocked.'; break;
+        function onError() {
+          cleanup_listeners();
+          const remote = !/^blob:/.test(video.currentSrc || video.src);
+          reject(mediaError(video.error, video.crossOrigin !== null, remote));
+        }
+
+        function onLoadProgress() {
+          clearTimeout(timer);
+          timer = setTimeout(onTimeout, LOAD_TIMEOUT);
+          const buffered = video.buffered;
+          if (onProgress && buffered.length && video.duration > 0 && isFinite(video.duration)) {
+            onProgress(Math.min(1, buffered.end(buffered.length - 1) / video.duration));
           }
         }
-        reject(new Error(msg));
+
+        function onTimeout() {
+          cleanup_listeners();
+          reject(loadError(ERROR_CODES.TIMEOUT, 'Video load timed out.'));
+        }
+
+        function onAbort() {
+          cleanup_listeners();
+          reject(abortError());
+        }
+
+        function cleanup_listeners() {
+          clearTimeout(timer);
+          video.removeEventListener('canplay', onCanPlay);
+          video.removeEventListener('error', onError);
+          video.removeEventListener('progress', onLoadProgress);
+          signal.removeEventListener('abort', onAbort);
+        }
+
+        // Timeout — if nothing arrives in time, fail
+        let timer = setTimeout(onTimeout, LOAD_TIMEOUT);
+
+        video.addEventListener('canplay', onCanPlay);
+        video.addEventListener('error', onError);
+        video.addEventListener('progress', onLoadProgress);
+        signal.addEventListener('abort', onAbort);
+      });
+    }
+
+    /**
+     * Play an HLS or DASH manifest. Safari plays HLS natively; elsewhere the
+     * format's engine feeds the video through Media Source Extensions, with
+     * every request sent along the route that reached the manifest.
+     * @param {string} url
+     * @param {string} type Key of STREAM_TYPES
+     * @param {AbortSignal} signal
+     * @param {function} status
+     * @returns {Promise<HTMLVideoElement>}
+     */
+    async function loadStream(url, type, signal, status) {
+      const format = STREAM_TYPES[type];
+      if (type === 'hls' && video.canPlayType('application/vnd.apple.mpegurl')) {
+        status('Loading HLS stream...');
+        try {
+          await loadDirect(url, true, signal);
+          return video;
+        } catch (e) {
+          throwIfAborted(signal);
+          // Likely no CORS headers; MSE can still go through a proxy
+        }
+      }
+      if (!window.MediaSource && !window.ManagedMediaSource) {
+        throw loadError(ERROR_CODES.DECODE,
+          'This browser can\'t play ' + format.label + ' streams (no Media Source Extensions).');
       }
 
-      function cleanup_listeners() {
-        video.removeEventListener('canplay', onCanPlay);
-        video.removeEventListener('error', onError);
+      const manifestUrl = new URL(url, location.href).href;
+      const route = await findStreamRoute(manifestUrl, format, signal, status);
+      status('Loading ' + format.label + ' player...');
+      try {
+        await loadLibrary(format.library);
+      } catch (e) {
+        throwIfAborted(signal);
+        throw loadError(ERROR_CODES.NETWORK, 'Could not load the ' + format.label + ' player.');
       }
+      throwIfAborted(signal);
 
-      // Timeout — if nothing happens in 10 seconds, fail
-      var timer = setTimeout(function() {
-        cleanup_listeners();
-        reject(new Error('Video load timed out.'));
-      }, 10000);
+      let fail;
+      const failed = new Promise(function(resolve, reject) { fail = reject; });
+      const ready = whenPlayable(signal);
+      ready.catch(function() {}); // the engine's error may win the race
+      let source = manifestUrl;
+      if (type === 'dash' && route.proxy) {
+        // dash.js resolves segment URLs against the address the manifest
+        // came from, which would be the proxy's; give it a rebased copy
+        const text = rebaseManifest(route.text, manifestUrl);
+        source = setBlobUrl(URL.createObjectURL(new Blob([text], { type: 'application/dash+xml' })));
+      }
 
-      video.addEventListener('canplay', function() {
-        clearTimeout(timer);
-        onCanPlay();
+      video.crossOrigin = 'anonymous';
+      status('Loading ' + format.label + ' stream...');
+      stream = format.attach(video, source, route.proxy, function(code, msg) {
+        fail(loadError(code, msg));
       });
-      video.addEventListener('error', function() {
-        clearTimeout(timer);
-        onError();
+
+      try {
+        await Promise.race([ready, failed]);
+        return video;
+      } catch (e) {
+        throwIfAborted(signal); // the engine belongs to the newer load's cleanup
+        cleanup();
+        throw loadError(e.code || ERROR_CODES.NETWORK, format.label + ' stream failed: ' + e.message);
+      }
+    }
+
+    /**
+     * Fetch a URL as a blob and return a blob URL.
+     * This bypasses CORS because the fetch goes through a proxy that adds headers.
+     * The whole file is held in memory, so it's refused past MAX_BUFFER_BYTES.
+     * @param {string} url
+     * @param {AbortSignal} signal
+     * @param {function} [onStatus] - download progress messages and fraction
+     * @returns {Promise<string>} blob URL
+     */
+    async function fetchAsBlob(url, signal, onStatus) {
+      const res = await fetch(url, { signal: signal });
+      if (!res.ok) throw loadError(ERROR_CODES.PROXY_FAILED, 'Proxy returned ' + res.status);
+
+      // A manifest gets handed to the streaming engine instead
+      const type = res.headers.get('content-type') || '';
+      const streamType = streamTypeOf(null, type);
+      if (streamType) {
+        res.body.cancel();
+        const err = new Error(STREAM_TYPES[streamType].label + ' manifest');
+        err.streamType = streamType;
+        throw err;
+      }
+
+      const total = parseInt(res.headers.get('content-length'), 10) || 0;
+      if (total > MAX_BUFFER_BYTES) {
+        res.body.cancel();
+        throw loadError(ERROR_CODES.PROXY_FAILED, 'Too large to download (' + formatMB(total) + ')');
+      }
+
+      const reader = res.body.getReader();
+      const chunks = [];
+      let received = 0;
+      let reported = -1;
+      for (;;) {
+        const chunk = await reader.read(); // rejects once the signal aborts
+        if (chunk.done) break;
+        received += chunk.value.length;
+        if (received > MAX_BUFFER_BYTES) {
+          reader.cancel();
+          throw loadError(ERROR_CODES.PROXY_FAILED,
+            'Too large to download (over ' + formatMB(MAX_BUFFER_BYTES) + ')');
+        }
+        chunks.push(chunk.value);
+
+        // Report each percent (or MB, without a length), not every chunk
+        const step = total ? Math.floor(received * 100 / total) : Math.floor(received / 1048576);
+        if (onStatus && step !== reported) {
+          reported = step;
+          onStatus('downloading ' + formatMB(received) +
+            (total ? ' of ' + formatMB(total) + ' (' + step + '%)' : '') + '...',
+            total ? received / total : undefined);
+        }
+      }
+
+      if (received < 1000) throw loadError(ERROR_CODES.PROXY_FAILED, 'Response too small, likely an error page');
+      throwIfAborted(signal);
+      return setBlobUrl(URL.createObjectURL(new Blob(chunks, { type: type })));
+    }
+
+    /**
+     * Make url the player's blob URL, revoking the one it replaces (e.g. a
+     * download from a proxy attempt that then failed to play).
+     * @param {string|null} url
+     * @returns {string|null} url
+     */
+    function setBlobUrl(url) {
+      if (currentBlobUrl) URL.revokeObjectURL(currentBlobUrl);
+      currentBlobUrl = url;
+      return url;
+    }
+
+    /** Stop any streaming engine and free previous blob URLs */
+    function cleanup() {
+      if (stream) {
+        stream.destroy();
+        stream = null;
+      }
+      setBlobUrl(null);
+    }
+
+    function play() {
+      if (video) return video.play().catch(function() {});
+    }
+
+    function pause() {
+      if (video) video.pause();
+    }
+
+    function togglePlayPause() {
+      if (!video) return false;
+      if (video.paused) {
+        play();
+        return true;
+      } else {
+        pause();
+        return false;
+      }
+    }
+
+    /** Play from the start; the keyer resets its temporal state on the backward jump */
+    function restart() {
+      if (video) {
+        video.currentTime = 0;
+        play();
+      }
+    }
+
+    function isPlaying() {
+      return video && !video.paused;
+    }
+
+    function getVideo() {
+      return video;
+    }
+
+    function getReady() {
+      return isReady;
+    }
+
+    /**
+     * Renditions of the current adaptive stream, best first. Empty for
+     * plain files.
+     * @returns {{index: number, height: number, bitrate: number}[]}
+     */
+    function getQualities() {
+      if (!stream) return [];
+      return stream.getQualities().sort(function(a, b) {
+        return b.height - a.height || b.bitrate - a.bitrate;
       });
+    }
 
-      video.src = url;
+    /** Index of the forced rendition, or -1 for automatic switching */
+    function getQuality() {
+      return stream ? stream.getQuality() : -1;
+    }
+
+    /**
+     * Force a rendition (index from getQualities) or pass -1 to let the
+     * engine adapt to bandwidth.
+     * @param {number} index
+     */
+    function setQuality(index) {
+      if (stream) stream.setQuality(index);
+    }
+
+    /** URL or File passed to the last load() / loadFile(), or null */
+    function getSource() {
+      return sourceFile || sourceUrl;
+    }
+
+    /** 'idle', 'loading', 'ready' or 'error' */
+    function getState() {
+      return state;
+    }
+
+    /** Error of the last failed load (with a code from ERROR_CODES), or null */
+    function getError() {
+      return lastError;
+    }
+
+    /** Cancel any load, stop playback and remove the <video> element */
+    function destroy() {
+      if (loadController) loadController.abort();
+      loadController = null;
+      state = 'idle';
+      if (!video) return;
+      video.pause();
+      video.removeAttribute('src');
       video.load();
+      video.remove();
+      video = null;
+      isReady = false;
+      cleanup();
+    }
+
+    const player = {
+      create,
+      load,
+      loadFile,
+      retry,
+      play,
+      pause,
+      togglePlayPause,
+      restart,
+      isPlaying,
+      getVideo,
+      getReady,
+      getState,
+      getError,
+      getSource,
+      getQualities,
+      getQuality,
+      setQuality,
+      destroy
+    };
+    return player;
+  }
+
+  function formatMB(bytes) {
+    return (bytes / 1048576).toFixed(1) + ' MB';
+  }
+
+  // ---- Load errors and events ----
+
+  /** Error with a code from ERROR_CODES */
+  function loadError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  }
+
+  function abortError() {
+    return loadError(ERROR_CODES.ABORTED, 'Load cancelled.');
+  }
+
+  function throwIfAborted(signal) {
+    if (signal.aborted) throw abortError();
+  }
+
+  /**
+   * Type a <video> MediaError. "Not supported" from a remote URL is usually
+   * CORS (with crossOrigin set) or an error page from the server, both worth
+   * retrying; from a blob: URL it's the file itself.
+   */
+  function mediaError(err, withCors, remote) {
+    switch (err && err.code) {
+      case MediaError.MEDIA_ERR_DECODE:
+        return loadError(ERROR_CODES.DECODE, 'Format not supported.');
+      case MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED:
+        if (!remote) return loadError(ERROR_CODES.DECODE, 'Format not supported.');
+        return withCors
+          ? loadError(ERROR_CODES.CORS, 'URL not supported or CORS blocked.')
+          : loadError(ERROR_CODES.NETWORK, 'URL not supported or file not found.');
+      default:
+        return loadError(ERROR_CODES.NETWORK, 'Network error.');
+    }
+  }
+
+  /** Give untyped errors (fetch failures, engine exceptions) a code */
+  function toLoadError(e) {
+    if (e && e.code && Object.values(ERROR_CODES).indexOf(e.code) !== -1) return e;
+    if (e && e.name === 'AbortError') return abortError();
+    return loadError(ERROR_CODES.NETWORK, (e && e.message) || 'Failed to load video.');
+  }
+
+  /**
+   * Listen to every player's loads. fn(detail) gets { player, source } plus:
+   *   loadstart  a load began
+   *   progress   message, fraction (0–1, or undefined if unknown)
+   *   ready      the video can play
+   *   error      error (code from ERROR_CODES, message)
+   *   abort      error; a newer load or destroy() replaced this one
+   * @param {string} type
+   * @param {function} fn
+   */
+  function on(type, fn) {
+    if (!loadListeners[type]) throw new Error('Unknown load event: ' + type);
+    loadListeners[type].push(fn);
+  }
+
+  function off(type, fn) {
+    const list = loadListeners[type] || [];
+    const i = list.indexOf(fn);
+    if (i !== -1) list.splice(i, 1);
+  }
+
+  function emit(type, detail) {
+    loadListeners[type].slice().forEach((fn) => fn(detail));
+  }
+
+  // ---- CORS proxies ----
+
+  /** Saved proxy list, or the defaults if none was saved or it's unreadable */
+  function loadProxies() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(PROXIES_KEY));
+      if (Array.isArray(saved) && saved.every((p) => typeof p === 'string')) return saved;
+    } catch (e) {
+      // Storage disabled or corrupt
+    }
+    return DEFAULT_PROXIES.slice();
+  }
+
+  function getProxies() {
+    return corsProxies.slice();
+  }
+
+  /**
+   * Replace the proxy list (in try order) and persist it. Blank and
+   * duplicate entries are dropped; an empty list disables proxying.
+   * @param {string[]} list
+   * @returns {string[]} The list as stored
+   * @throws {Error} If an entry isn't an http(s) URL
+   */
+  function setProxies(list) {
+    const next = [];
+    list.forEach((entry) => {
+      const proxy = String(entry).trim();
+      if (!proxy || next.indexOf(proxy) !== -1) return;
+      let parsed = null;
+      try {
+        parsed = new URL(proxy);
+      } catch (e) {
+        // reported below
+      }
+      if (!parsed || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+        throw new Error('Not a proxy URL: ' + proxy);
+      }
+      next.push(proxy);
     });
+    corsProxies = next;
+    try {
+      localStorage.setItem(PROXIES_KEY, JSON.stringify(next));
+    } catch (e) {
+      // Still applies for this session
+    }
+    return getProxies();
+  }
+
+  /** Go back to the built-in proxy list */
+  function resetProxies() {
+    corsProxies = DEFAULT_PROXIES.slice();
+    try {
+      localStorage.removeItem(PROXIES_KEY);
+    } catch (e) {
+      // Nothing saved
+    }
+    return getProxies();
   }
 
   /**
-   * Fetch a URL as a blob and return a blob URL.
-   * This bypasses CORS because the fetch goes through a proxy that adds headers.
-   * @param {string} url
-   * @returns {Promise<string>} blob URL
+   * Check that a proxy answers with CORS headers and honors Range, by
+   * requesting the first byte of testUrl through it.
+   * @param {string} proxy
+   * @param {string} [testUrl] Defaults to this app's manifest.json; pass
+   *   a URL the proxy can reach (e.g. the current video) for LAN proxies
+   * @returns {Promise<{ok: boolean, ms: number, message: string}>}
    */
-  function fetchAsBlob(url) {
-    return fetch(url)
-      .then(function(res) {
-        if (!res.ok) throw new Error('Proxy returned ' + res.status);
-        return res.blob();
-      })
-      .then(function(blob) {
-        if (blob.size < 1000) throw new Error('Response too small, likely an error page');
-        currentBlobUrl = URL.createObjectURL(blob);
-        return currentBlobUrl;
+  async function checkProxy(proxy, testUrl) {
+    const target = testUrl || new URL('manifest.json', location.href).href;
+    const controller = new AbortController();
+    const timer = setTimeout(function() { controller.abort(); }, HEALTH_TIMEOUT);
+    const start = performance.now();
+    try {
+      const res = await fetch(proxyUrl(proxy, target), {
+        headers: { Range: 'bytes=0-0' },
+        signal: controller.signal
       });
+      const ms = Math.round(performance.now() - start);
+      if (res.body) res.body.cancel();
+      if (!res.ok) return { ok: false, ms: ms, message: 'HTTP ' + res.status };
+      return { ok: true, ms: ms, message: res.status === 206 ? 'OK' : 'OK, no Range support' };
+    } catch (e) {
+      const ms = Math.round(performance.now() - start);
+      return { ok: false, ms: ms, message: e.name === 'AbortError' ? 'Timed out' : 'Unreachable or no CORS' };
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
-  /** Clean up previous blob URLs to free memory */
-  function cleanup() {
-    if (currentBlobUrl) {
-      URL.revokeObjectURL(currentBlobUrl);
-      currentBlobUrl = null;
-    }
+  // ---- Adaptive streaming ----
+
+  function proxyUrl(proxy, url) {
+    return proxy ? proxy + encodeURIComponent(url) : url;
   }
 
-  function play() {
-    if (video) return video.play().catch(function() {});
+  /**
+   * Which STREAM_TYPES entry a URL or content type names, or null.
+   * @param {string|null} url
+   * @param {string} [contentType]
+   */
+  function streamTypeOf(url, contentType) {
+    return Object.keys(STREAM_TYPES).find(function(type) {
+      const format = STREAM_TYPES[type];
+      return (url && format.extension.test(url)) ||
+        (contentType && format.contentType.test(contentType));
+    }) || null;
   }
 
-  function pause() {
-    if (video) video.pause();
+  /**
+   * Ask the server for the content type of a URL that has no telling
+   * extension. Null when it's not a manifest or can't be asked (CORS).
+   */
+  async function probeStreamType(url, signal) {
+    if (MEDIA_EXTENSIONS.test(url) || url.indexOf('blob:') === 0) return null;
+    const controller = new AbortController();
+    const abort = function() { controller.abort(); };
+    const timer = setTimeout(abort, PROBE_TIMEOUT);
+    signal.addEventListener('abort', abort);
+    try {
+      const res = await fetch(url, { method: 'HEAD', signal: controller.signal });
+      return res.ok ? streamTypeOf(null, res.headers.get('content-type')) : null;
+    } catch (e) {
+      return null;
+    } finally {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', abort);
+    }
   }
 
-  function togglePlayPause() {
-    if (!video) return false;
-    if (video.paused) {
-      play();
-      return true;
+  /**
+   * Fetch the manifest directly, then through each CORS proxy, and keep
+   * the first route that returns a real manifest.
+   * @returns {Promise<{proxy: string, text: string}>} proxy is '' for direct
+   */
+  async function findStreamRoute(url, format, signal, onStatus) {
+    const routes = [''].concat(corsProxies);
+    for (let i = 0; i < routes.length; i++) {
+      if (i) onStatus('Bypassing CORS for ' + format.label + ' (proxy ' + i + ')...');
+      try {
+        const res = await fetch(proxyUrl(routes[i], url), { signal: signal });
+        if (!res.ok) continue;
+        const text = await res.text();
+        if (format.isManifest(text)) return { proxy: routes[i], text: text };
+      } catch (e) {
+        throwIfAborted(signal);
+        // Blocked or unreachable, try the next route
+      }
+    }
+    throwIfAborted(signal);
+    throw loadError(routes.length > 1 ? ERROR_CODES.PROXY_FAILED : ERROR_CODES.CORS,
+      'Could not reach the ' + format.label + ' manifest. Check the URL.');
+  }
+
+  /**
+   * Make every MPD-level BaseURL absolute (adding one for the manifest's
+   * own directory if there are none), so segment URLs no longer depend on
+   * where the manifest was fetched from.
+   */
+  function rebaseManifest(text, manifestUrl) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const mpd = doc.documentElement;
+    const bases = Array.prototype.filter.call(mpd.children, function(el) {
+      return el.localName === 'BaseURL';
+    });
+    if (bases.length) {
+      bases.forEach(function(el) {
+        el.textContent = new URL(el.textContent.trim(), manifestUrl).href;
+      });
     } else {
-      pause();
-      return false;
+      const base = doc.createElementNS(mpd.namespaceURI, 'BaseURL');
+      base.textContent = new URL('.', manifestUrl).href;
+      mpd.insertBefore(base, mpd.firstChild);
     }
+    return new XMLSerializer().serializeToString(doc);
   }
 
-  function restart() {
-    if (video) {
-      video.currentTime = 0;
-      play();
+  /** Load a script once; later calls share the same promise */
+  function loadLibrary(src) {
+    if (!libraries[src]) {
+      libraries[src] = new Promise(function(resolve, reject) {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = function() {
+          delete libraries[src];
+          script.remove();
+          reject(new Error('Could not load ' + src));
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return libraries[src];
+  }
+
+  /**
+   * Play an HLS manifest with hls.js. Through a proxy, requests are
+   * rewritten by a loader that reports the original URL back, so hls.js
+   * resolves playlist and segment URLs against the real server.
+   * @returns {object} Engine: getQualities, getQuality, setQuality, destroy
+   */
+  function attachHls(video, url, proxy, onFatal) {
+    const config = {
+      maxBufferSize: MAX_BUFFER_BYTES,
+      backBufferLength: BACK_BUFFER_SECONDS
+    };
+    if (proxy) {
+      const BaseLoader = Hls.DefaultConfig.loader;
+      config.loader = class ProxyLoader extends BaseLoader {
+        load(context, loaderConfig, callbacks) {
+          // Retries hand back the same context, already rewritten
+          const original = context.proxiedFrom || context.url;
+          context.proxiedFrom = original;
+          context.url = proxyUrl(proxy, original);
+          super.load(context, loaderConfig, Object.assign({}, callbacks, {
+            onSuccess: function(response, stats, ctx, details) {
+              response.url = original;
+              ctx.url = original;
+              callbacks.onSuccess(response, stats, ctx, details);
+            }
+          }));
+        }
+      };
     }
+
+    const hls = new Hls(config);
+    hls.on(Hls.Events.ERROR, function(event, data) {
+      if (!data.fatal) return;
+      onFatal(data.type === Hls.ErrorTypes.NETWORK_ERROR ? ERROR_CODES.NETWORK : ERROR_CODES.DECODE,
+        data.details);
+    });
+    hls.loadSource(url);
+    hls.attachMedia(video);
+
+    return {
+      getQualities: function() {
+        return hls.levels.map(function(level, i) {
+          return { index: i, height: level.height, bitrate: level.bitrate };
+        });
+      },
+      getQuality: function() { return hls.autoLevelEnabled ? -1 : hls.currentLevel; },
+      setQuality: function(index) { hls.currentLevel = index; },
+      destroy: function() { hls.destroy(); }
+    };
   }
 
-  function isPlaying() {
-    return video && !video.paused;
+  /**
+   * Play a DASH manifest with dash.js, sending segment requests through
+   * the proxy if there is one (the manifest itself is already a blob URL).
+   * @returns {object} Engine: getQualities, getQuality, setQuality, destroy
+   */
+  function attachDash(video, url, proxy, onFatal) {
+    const player = dashjs.MediaPlayer().create();
+    if (proxy) {
+      player.extend('RequestModifier', function() {
+        return {
+          modifyRequestHeader: function(xhr) { return xhr; },
+          modifyRequestURL: function(u) {
+            return u.indexOf('blob:') === 0 ? u : proxyUrl(proxy, u);
+          }
+        };
+      }, true);
+    }
+    // dash.js buffers by time, not size: keep the window short
+    player.updateSettings({
+      streaming: {
+        buffer: {
+          bufferToKeep: BACK_BUFFER_SECONDS,
+          bufferTimeAtTopQuality: BACK_BUFFER_SECONDS,
+          bufferTimeAtTopQualityLongForm: BACK_BUFFER_SECONDS
+        }
+      }
+    });
+    player.on(dashjs.MediaPlayer.events.ERROR, function(e) {
+      // A media element error means decoding failed; anything else is a download
+      onFatal(video.error ? ERROR_CODES.DECODE : ERROR_CODES.NETWORK,
+        (e.error && e.error.message) || 'playback error');
+    });
+    player.initialize(video, url, false);
+
+    const autoSwitch = function(on) {
+      player.updateSettings({ streaming: { abr: { autoSwitchBitrate: { video: on } } } });
+    };
+    return {
+      getQualities: function() {
+        return player.getBitrateInfoListFor('video').map(function(info) {
+          return { index: info.qualityIndex, height: info.height, bitrate: info.bitrate };
+        });
+      },
+      getQuality: function() {
+        return player.getSettings().streaming.abr.autoSwitchBitrate.video
+          ? -1 : player.getQualityFor('video');
+      },
+      setQuality: function(index) {
+        autoSwitch(index < 0);
+        if (index >= 0) player.setQualityFor('video', index, true);
+      },
+      destroy: function() { player.reset(); }
+    };
   }
 
-  function getVideo() {
-    return video;
+  function setActive(player) {
+    active = player;
   }
 
-  function getReady() {
-    return isReady;
+  function getActive() {
+    return active;
   }
 
   return {
-    create,
-    load,
-    play,
-    pause,
-    togglePlayPause,
-    restart,
-    isPlaying,
-    getVideo,
-    getReady
+    create:          function() { return active.create(); },
+    load:            function(url, onStatus) { return active.load(url, onStatus); },
+    loadFile:        function(file, onStatus) { return active.loadFile(file, onStatus); },
+    retry:           function(onStatus) { return active.retry(onStatus); },
+    play:            function() { return active.play(); },
+    pause:           function() { return active.pause(); },
+    togglePlayPause: function() { return active.togglePlayPause(); },
+    restart:         function() { return active.restart(); },
+    isPlaying:       function() { return active.isPlaying(); },
+    getVideo:        function() { return active.getVideo(); },
+    getReady:        function() { return active.getReady(); },
+    getState:        function() { return active.getState(); },
+    getError:        function() { return active.getError(); },
+    getSource:       function() { return active.getSource(); },
+    getQualities:    function() { return active.getQualities(); },
+    getQuality:      function() { return active.getQuality(); },
+    setQuality:      function(index) { active.setQuality(index); },
+    createPlayer,
+    setActive,
+    getActive,
+    on,
+    off,
+    ERROR_CODES,
+    getProxies,
+    setProxies,
+    resetProxies,
+    checkProxy
   };
 })();
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'mr-chromakey-v1';
+const CACHE_NAME = 'mr-chromakey-v26';
 const ASSETS = [
   './',
   './index.html',
@@ -7,7 +7,13 @@ const ASSETS = [
   './js/app.js',
   './js/video-player.js',
   './js/chromakey.js',
+  './js/auto-calibrate.js',
+  './js/screen-manager.js',
+  './js/stats.js',
+  './js/exporter.js',
   './js/ui-controller.js',
+  './js/vendor/hls.min.js',
+  './js/vendor/dash.all.min.js',
   './manifest.json'
 ];
 
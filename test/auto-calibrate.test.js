@@ -0,0 +1,21 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./helpers/browser');
+
+const ChromaKey = loadScript('js/chromakey.js', 'ChromaKey');
+const AutoCalibrate = loadScript('js/auto-calibrate.js', 'AutoCalibrate', { ChromaKey: ChromaKey });
+
+const VIDEO = { videoWidth: 160, videoHeight: 90 };
+
+test('calibration needs a loaded video', async () => {
+  await assert.rejects(AutoCalibrate.run({ videoWidth: 0 }, 'rgb'), /Load a video/);
+});
+
+test('calibration refuses the luma model, explicit or current', async () => {
+  await assert.rejects(AutoCalibrate.run(VIDEO, 'luma'), /chroma key model/);
+  ChromaKey.setKeyModel('luma');
+  await assert.rejects(AutoCalibrate.run(VIDEO), /chroma key model/);
+  ChromaKey.setKeyModel('rgb');
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./helpers/browser');
+
+const ChromaKey = loadScript('js/chromakey.js', 'ChromaKey');
+
+const GREEN = [0, 1, 0];
+const RED = [1, 0, 0];
+
+function near(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, (message || '') + ' expected ' + expected + ', got ' + actual);
+}
+
+test('the key color itself is at distance 0 in every model', () => {
+  ['rgb', 'ycbcr', 'hsv'].forEach((model) => {
+    ChromaKey.setKeyModel(model);
+    near(ChromaKey.keyDistance(GREEN, GREEN), 0, model);
+  });
+  ChromaKey.setKeyModel('rgb');
+});
+
+test('rgb distance is Euclidean', () => {
+  ChromaKey.setKeyModel('rgb');
+  near(ChromaKey.keyDistance(RED, GREEN), Math.SQRT2);
+  near(ChromaKey.keyDistance([0, 0.5, 0], GREEN), 0.5);
+});
+
+test('the current key color is used when none is given', () => {
+  ChromaKey.setKeyModel('rgb');
+  ChromaKey.setKeyColor('blue');
+  near(ChromaKey.keyDistance([0, 0, 1]), 0);
+  ChromaKey.setKeyColor('green');
+  near(ChromaKey.keyDistance([0, 0, 1]), Math.SQRT2);
+});
+
+test('ycbcr compares chroma, with lumaWeight mixing luma back in', () => {
+  ChromaKey.setKeyModel('ycbcr');
+  // Black and white have no chroma, so only the luma term separates them
+  ChromaKey.setModelParam('ycbcr', 'lumaWeight', 0);
+  near(ChromaKey.keyDistance([1, 1, 1], [0, 0, 0]), 0);
+  ChromaKey.setModelParam('ycbcr', 'lumaWeight', 0.5);
+  near(ChromaKey.keyDistance([1, 1, 1], [0, 0, 0]), 0.5);
+  ChromaKey.setModelParam('ycbcr', 'lumaWeight', 0);
+
+  // Scaled so pure green vs. gray is about 1, like RGB
+  const d = ChromaKey.keyDistance([0.5, 0.5, 0.5], GREEN);
+  assert.ok(d > 0.9 && d < 1.2, 'green vs. gray: ' + d);
+  ChromaKey.setKeyModel('rgb');
+});
+
+test('hsv hue distance wraps around red', () => {
+  ChromaKey.setKeyModel('hsv');
+  const below = ChromaKey.keyDistance([1, 0, 0.1], RED);
+  const above = ChromaKey.keyDistance([1, 0.1, 0], RED);
+  near(below, above, 'symmetric around 0 deg');
+  assert.ok(below < 0.05, 'near red stays near: ' + below);
+  near(ChromaKey.keyDistance([0, 1, 1], RED), 1, 'opposite hue');
+  ChromaKey.setKeyModel('rgb');
+});
+
+test('hsv pushes dark and unsaturated pixels away from the key', () => {
+  ChromaKey.setKeyModel('hsv');
+  const params = ChromaKey.getModelParams('hsv');
+  // Same hue as the key, but darker than valMin
+  near(ChromaKey.keyDistance([0, 0.05, 0], GREEN), params.valMin - 0.05);
+  // Same hue, but less saturated than satMin
+  near(ChromaKey.keyDistance([0.9, 1, 0.9], GREEN), params.satMin - 0.1);
+  ChromaKey.setKeyModel('rgb');
+});
+
+test('luma measures how far inside the [low, high] luma band a pixel is', () => {
+  ChromaKey.setKeyModel('luma');
+  const params = ChromaKey.getModelParams('luma');
+  near(ChromaKey.keyDistance([0, 0, 0]), 0, 'below low');
+  near(ChromaKey.keyDistance([0.5, 0.5, 0.5]), Math.min(0.5 - params.low, params.high - 0.5));
+  ChromaKey.setKeyModel('rgb');
+});
+
+test('an explicit model overrides the current one', () => {
+  ChromaKey.setKeyModel('rgb');
+  near(ChromaKey.keyDistance([0, 0.05, 0], GREEN, 'hsv'), ChromaKey.getModelParams('hsv').valMin - 0.05);
+  near(ChromaKey.keyDistance([0, 0.05, 0], GREEN), 0.95);
+});
+
+test('the chroma model survives a switch to luma', () => {
+  ChromaKey.setKeyModel('hsv');
+  ChromaKey.setKeyModel('luma');
+  assert.strictEqual(ChromaKey.getKeyModel(), 'luma');
+  assert.strictEqual(ChromaKey.getChromaModel(), 'hsv');
+  ChromaKey.setKeyModel('rgb');
+  assert.strictEqual(ChromaKey.getChromaModel(), 'rgb');
+});
+
+test('keyers keep their own model settings', () => {
+  ChromaKey.setKeyModel('hsv');
+  const first = ChromaKey.getActiveKeyer();
+  const second = ChromaKey.createKeyer(first);
+  ChromaKey.withKeyer(second, () => {
+    assert.strictEqual(ChromaKey.getKeyModel(), 'hsv', 'copied from the source keyer');
+    ChromaKey.setKeyModel('ycbcr');
+    ChromaKey.setKeyModel('luma');
+    assert.strictEqual(ChromaKey.getChromaModel(), 'ycbcr');
+  });
+  assert.strictEqual(ChromaKey.getKeyModel(), 'hsv');
+  assert.strictEqual(ChromaKey.getChromaModel(), 'hsv');
+  ChromaKey.destroyKeyer(second);
+  ChromaKey.setKeyModel('rgb');
+});
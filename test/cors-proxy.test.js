@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { isAllowed, isPrivateAddress } = require('../tools/cors-proxy');
+
+function allowed(url, allow) {
+  return isAllowed(new URL(url), allow || []);
+}
+
+test('private, loopback and link-local addresses are private', () => {
+  [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.10',
+    '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1',
+    '::1', '::', 'fe80::1', 'fd00::1', 'ff02::1'
+  ].forEach((address) => assert.ok(isPrivateAddress(address), address));
+});
+
+test('public addresses are not private', () => {
+  ['8.8.8.8', '172.32.0.1', '192.169.0.1', '2606:4700::1111']
+    .forEach((address) => assert.ok(!isPrivateAddress(address), address));
+});
+
+test('IPv4-mapped IPv6 addresses are checked as IPv4', () => {
+  assert.ok(isPrivateAddress('::ffff:127.0.0.1'));
+  assert.ok(isPrivateAddress('::ffff:7f00:1'));
+  assert.ok(isPrivateAddress('::ffff:c0a8:101'));
+  assert.ok(!isPrivateAddress('::ffff:808:808'));
+  // Deprecated IPv4-compatible form
+  assert.ok(isPrivateAddress('::7f00:1'));
+});
+
+test('without an allow list, public hosts and names are allowed', () => {
+  assert.ok(allowed('https://example.com/video.mp4'));
+  assert.ok(allowed('http://8.8.8.8/video.mp4'));
+  assert.ok(allowed('http://[2606:4700::1111]/video.mp4'));
+});
+
+test('without an allow list, private literals are refused in every spelling', () => {
+  [
+    'http://127.0.0.1/',
+    'http://127.1:8080/',
+    'http://0x7f000001/',
+    'http://2130706433/',
+    'http://0177.0.0.1/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://[0:0:0:0:0:ffff:a00:1]/',
+    'http://10.0.0.5/',
+    'http://192.168.0.1:8080/video.mp4',
+    'http://169.254.169.254/latest/meta-data/'
+  ].forEach((url) => assert.ok(!allowed(url), url));
+});
+
+test('an allow list admits listed hosts and their subdomains only', () => {
+  const allow = ['videos.example', '10.0.0.5'];
+  assert.ok(allowed('https://videos.example/a.mp4', allow));
+  assert.ok(allowed('https://cdn.videos.example/a.mp4', allow));
+  assert.ok(allowed('http://10.0.0.5/a.mp4', allow));
+  assert.ok(!allowed('https://evilvideos.example/a.mp4', allow));
+  assert.ok(!allowed('https://videos.example.evil.test/a.mp4', allow));
+  assert.ok(!allowed('https://example.com/a.mp4', allow));
+});
@@ -0,0 +1,25 @@
+/**
+ * Load one of the app's browser scripts into a fresh context and return the
+ * global it defines. The scripts only touch the DOM when their functions run,
+ * so tests pass in stubs for whatever they exercise.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * @param {string} file Path from the repository root, e.g. 'js/chromakey.js'
+ * @param {string} name Global the script declares, e.g. 'ChromaKey'
+ * @param {object} [globals] Extra globals (stubs) for the script's context
+ */
+function loadScript(file, name, globals) {
+  const context = vm.createContext(Object.assign({ console: console }, globals));
+  const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  return vm.runInContext(source + '\n;' + name + ';', context, { filename: file });
+}
+
+module.exports = { loadScript };
@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./helpers/browser');
+
+const storage = new Map();
+const localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+};
+
+const VideoPlayer = loadScript('js/video-player.js', 'VideoPlayer', {
+  localStorage: localStorage,
+  location: { href: 'https://app.example/' },
+  URL: URL
+});
+
+// Arrays from the script's context have its own prototype
+const proxies = () => [...VideoPlayer.getProxies()];
+
+test('setProxies trims entries and drops blanks and duplicates', () => {
+  const stored = VideoPlayer.setProxies([' http://10.0.0.2:8787/?url= ', '', 'http://10.0.0.2:8787/?url=',
+    'https://proxy.example/raw?url=']);
+  assert.deepStrictEqual([...stored], ['http://10.0.0.2:8787/?url=', 'https://proxy.example/raw?url=']);
+  assert.deepStrictEqual(proxies(), [...stored]);
+  assert.deepStrictEqual(JSON.parse(storage.get('mr-chromakey.proxies')), [...stored]);
+});
+
+test('setProxies rejects entries that are not http(s) URLs and keeps the old list', () => {
+  const before = proxies();
+  assert.throws(() => VideoPlayer.setProxies(['https://ok.example/?url=', 'not a url']), /Not a proxy URL: not a url/);
+  assert.throws(() => VideoPlayer.setProxies(['javascript:alert(1)']), /Not a proxy URL/);
+  assert.deepStrictEqual(proxies(), before);
+});
+
+test('an empty list disables proxying; reset restores the defaults', () => {
+  assert.deepStrictEqual([...VideoPlayer.setProxies([])], []);
+  VideoPlayer.resetProxies();
+  assert.ok(proxies().length > 0);
+  assert.ok(!storage.has('mr-chromakey.proxies'));
+});
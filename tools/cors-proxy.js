@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/**
+ * cors-proxy — a small self-hostable CORS proxy for MR ChromaKey.
+ * Forwards GET/HEAD requests (including Range, so video can seek and stream)
+ * and adds the CORS headers WebGL needs to use the video as a texture.
+ * No dependencies; run it on the LAN and add its address in the app's
+ * CORS Proxies section:
+ *
+ *   node tools/cors-proxy.js [--port 8787] [--allow host1,host2] [--origin https://app.example]
+ *   -> http://<this machine>:8787/?url=
+ *
+ * --allow (or ALLOW_HOSTS) limits which upstream hosts may be fetched.
+ * Without it, only public addresses are: loopback, private and link-local
+ * ranges are refused (also after DNS and redirects), so a page on the LAN
+ * can't read internal services through the proxy. List internal video
+ * hosts in --allow to reach them.
+ * --origin (or ALLOW_ORIGIN) names the origins whose pages may read the
+ * responses, comma separated; the default '*' lets any page use the proxy.
+ * GET /health answers "ok" for monitoring.
+ */
+'use strict';
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const MAX_REDIRECTS = 5;
+const UPSTREAM_TIMEOUT = 30000; // ms without data before giving up
+
+// Request headers passed upstream; everything else (cookies, auth) is dropped
+const FORWARD_REQUEST = ['range', 'if-range', 'if-none-match', 'if-modified-since', 'accept', 'user-agent'];
+
+// Response headers passed back to the app
+const FORWARD_RESPONSE = [
+  'content-type', 'content-length', 'content-range', 'accept-ranges',
+  'etag', 'last-modified', 'cache-control', 'expires'
+];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+  'Access-Control-Allow-Headers': 'Range, If-Range, Accept',
+  'Access-Control-Expose-Headers': 'Content-Length, Content-Range, Accept-Ranges, Content-Type',
+  'Access-Control-Max-Age': '86400'
+};
+
+// Addresses refused without an allow list: this host, the LAN and other
+// ranges that aren't the public internet
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// ---- Options ----
+
+function list(value) {
+  return (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+function parseArgs(argv) {
+  const parsed = {
+    port: parseInt(process.env.PORT, 10) || 8787,
+    allow: list(process.env.ALLOW_HOSTS),
+    origins: list(process.env.ALLOW_ORIGIN || '*')
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') parsed.port = parseInt(argv[++i], 10);
+    else if (argv[i] === '--allow') parsed.allow = list(argv[++i]);
+    else if (argv[i] === '--origin') parsed.origins = list(argv[++i]);
+    else if (argv[i] === '--help' || argv[i] === '-h') parsed.help = true;
+  }
+  return parsed;
+}
+
+let options = null; // set by main()
+
+// ---- Address filtering ----
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * public. IPv4-mapped IPv6 addresses (::ffff:127.0.0.1, which URL parsing
+ * turns into ::ffff:7f00:1) are checked as the IPv4 address they carry.
+ */
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(address);
+  if (mapped && mapped[1]) {
+    address = mapped[1];
+  } else if (mapped) {
+    const high = parseInt(mapped[2], 16);
+    const low = parseInt(mapped[3], 16);
+    address = [high >> 8, high & 255, low >> 8, low & 255].join('.');
+  }
+  return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Whether the upstream host may be fetched: hosts on the allow list, or
+ * any public host if there is none. Names are checked again once resolved
+ * (see lookupPublic).
+ * @param {URL} target
+ * @param {string[]} allow Allowed hosts; subdomains match too
+ */
+function isAllowed(target, allow) {
+  const hostname = target.hostname.replace(/^\[|\]$/g, ''); // IPv6 literals are bracketed
+  if (!allow.length) return !(net.isIP(hostname) && isPrivateAddress(hostname));
+  return allow.some((host) => hostname === host || hostname.endsWith('.' + host));
+}
+
+/** dns.lookup that fails for private addresses, so names can't point inside the LAN */
+function lookupPublic(hostname, lookupOptions, callback) {
+  dns.lookup(hostname, lookupOptions, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address: address }];
+    if (addresses.some((entry) => isPrivateAddress(entry.address))) {
+      const refused = new Error(hostname + ' resolves to a private address');
+      refused.code = 'EPRIVATE';
+      return callback(refused);
+    }
+    callback(null, address, family);
+  });
+}
+
+/** CORS headers for a request: its origin if allowed, or '*' */
+function corsHeaders(req) {
+  const headers = Object.assign({}, CORS_HEADERS);
+  if (options.origins.indexOf('*') !== -1) {
+    headers['Access-Control-Allow-Origin'] = '*';
+  } else {
+    headers['Vary'] = 'Origin';
+    if (options.origins.indexOf(req.headers.origin) !== -1) {
+      headers['Access-Control-Allow-Origin'] = req.headers.origin;
+    }
+  }
+  return headers;
+}
+
+// ---- Proxying ----
+
+function sendError(req, res, status, message) {
+  res.writeHead(status, Object.assign({ 'Content-Type': 'text/plain' }, corsHeaders(req)));
+  res.end(message + '\n');
+}
+
+/**
+ * Fetch target and stream the response back, following redirects
+ * ourselves so the browser only ever talks to the proxy.
+ */
+function forward(req, res, target, redirects) {
+  const headers = {};
+  FORWARD_REQUEST.forEach((name) => {
+    if (req.headers[name]) headers[name] = req.headers[name];
+  });
+
+  const client = target.protocol === 'https:' ? https : http;
+  const requestOptions = { method: req.method, headers: headers };
+  if (!options.allow.length) requestOptions.lookup = lookupPublic;
+  const upstream = client.request(target, requestOptions, (up) => {
+    const location = up.headers.location;
+    if (up.statusCode >= 300 && up.statusCode < 400 && location) {
+      up.resume();
+      if (redirects >= MAX_REDIRECTS) return sendError(req, res, 508, 'Too many redirects');
+      const next = new URL(location, target);
+      if (!isAllowed(next, options.allow)) return sendError(req, res, 403, 'Redirect to a host that is not allowed');
+      return forward(req, res, next, redirects + 1);
+    }
+
+    const out = corsHeaders(req);
+    FORWARD_RESPONSE.forEach((name) => {
+      if (up.headers[name] !== undefined) out[name] = up.headers[name];
+    });
+    res.writeHead(up.statusCode, out);
+    up.pipe(res);
+  });
+
+  upstream.setTimeout(UPSTREAM_TIMEOUT, () => upstream.destroy(new Error('Upstream timed out')));
+  upstream.on('error', (err) => {
+    if (res.headersSent) res.destroy();
+    else if (err.code === 'EPRIVATE') sendError(req, res, 403, 'Host not allowed: ' + err.message);
+    else sendError(req, res, 502, 'Upstream error: ' + err.message);
+  });
+  // Stop fetching if the browser goes away (seeks abort requests constantly)
+  res.on('close', () => upstream.destroy());
+  upstream.end();
+}
+
+function handle(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, corsHeaders(req));
+    return res.end();
+  }
+  if (url.pathname === '/health') {
+    res.writeHead(200, Object.assign({ 'Content-Type': 'text/plain' }, corsHeaders(req)));
+    return res.end('ok\n');
+  }
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return sendError(req, res, 405, 'Only GET and HEAD are proxied');
+  }
+
+  let target;
+  try {
+    target = new URL(url.searchParams.get('url'));
+  } catch (e) {
+    return sendError(req, res, 400, 'Pass the video address as ?url=<encoded URL>');
+  }
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    return sendError(req, res, 400, 'Only http and https URLs are proxied');
+  }
+  if (!isAllowed(target, options.allow)) {
+    return sendError(req, res, 403, 'Host not allowed: ' + target.hostname);
+  }
+
+  forward(req, res, target, 0);
+}
+
+// ---- Main ----
+
+function main() {
+  options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.port || !options.origins.length) {
+    console.log('Usage: node tools/cors-proxy.js [--port 8787] [--allow host1,host2] [--origin https://app.example]');
+    process.exit(options.help ? 0 : 1);
+  }
+
+  http.createServer(handle).listen(options.port, () => {
+    console.log('CORS proxy listening on port ' + options.port);
+    console.log('Add http://<this machine>:' + options.port + '/?url= in the app\'s CORS Proxies section');
+    console.log('Allowed hosts: ' + (options.allow.length ? options.allow.join(', ') : 'public addresses only'));
+    console.log('Allowed origins: ' + options.origins.join(', '));
+  });
+}
+
+if (require.main === module) main();
+
+module.exports = { isAllowed, isPrivateAddress };